@@ -0,0 +1,73 @@
+/**
+ * Poker Decision Trainer – Service Worker
+ * Keeps the app shell and built assets cached so the trainer loads and deals offline.
+*/
+
+const CACHE_NAME = "poker-trainer-v2";
+// The worker sits at the root of Vite's `base`, so its scope is where the app lives.
+const SCOPE = self.registration.scope;
+const INDEX_URL = new URL("index.html", SCOPE).href;
+const APP_SHELL = ["", "index.html", "manifest.webmanifest", "vite.svg", "icon-192.png", "icon-512.png"].map(
+  (path) => new URL(path, SCOPE).href
+);
+
+// The built index.html names the hashed bundles, so read them from it and cache them with the shell.
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(APP_SHELL);
+  const html = await (await cache.match(INDEX_URL)).text();
+  const assets = Array.from(html.matchAll(/(?:src|href)="([^"]*\/assets\/[^"]+)"/g), (match) =>
+    new URL(match[1], SCOPE).href
+  );
+  await cache.addAll(assets);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache());
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Remote deck requests go straight to the network; the app falls back to the local deck itself.
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    // Network first so a deploy shows up straight away, cached shell when offline.
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(INDEX_URL, copy));
+          return response;
+        })
+        .catch(() => caches.match(INDEX_URL))
+    );
+    return;
+  }
+
+  // Hashed build assets never change under the same URL, so cache first and fill the cache on the way.
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+    )
+  );
+});
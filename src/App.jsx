@@ -1,14 +1,60 @@
 import React, { useEffect, useMemo, useState } from "react";
 import {
   analyzeScenario,
-  CARD_BACK_IMAGE as LOGIC_CARD_BACK,
   getOutsDetail,
+  getRaiseSizeOptions,
 } from "./utils/evDecisionLogic";
+import { addGradeToTotals, createEmptyTotals, EV_LOSS_BANDS, gradeDecision } from "./utils/decisionGrader";
+import { describeHand, HAND_CATEGORIES } from "./utils/handEvaluator";
+import { applyHeroAction, createHandState, ROUND_STATES } from "./utils/handState";
+import { createHandRng, dealHand, generateSeed, HAND_CARD_COUNT } from "./utils/deckEngine";
+import {
+  dealDifficultyStreet,
+  DEFAULT_DIFFICULTY,
+  DIFFICULTY_PROFILES,
+  getTableOptions,
+  resolveDifficulty,
+} from "./utils/difficulty";
+import {
+  clearHistory,
+  listDecisions,
+  listReviewItems,
+  saveDecision,
+  saveReviewItem,
+  syncPendingDecisions,
+} from "./utils/historyStore";
+import { createReviewItem, getDueItems, needsReview, scheduleReview } from "./utils/reviewQueue";
+import { scoreOutsSelection } from "./utils/outsDrill";
+import { parseEquityEstimate } from "./utils/equityCalibration";
+import { buildAnalysisScenario } from "./utils/spotBuilder";
+import { buildSpotLink, isSpotLink, readSpotLink } from "./utils/spotLink";
+import { importSharedVillain } from "./utils/villainProfiles";
+import DifficultySettings from "./components/DifficultySettings";
+import EquityCalibration from "./components/EquityCalibration";
+import HistoryView from "./components/HistoryView";
+import LeakReport from "./components/LeakReport";
+import MathDetails from "./components/MathDetails";
+import OutsDrill from "./components/OutsDrill";
+import PlayingCard from "./components/PlayingCard";
+import PotOddsQuiz from "./components/PotOddsQuiz";
+import RaiseSizer from "./components/RaiseSizer";
+import ShotClock from "./components/ShotClock";
+import SpeedReport from "./components/SpeedReport";
+import SpotBuilder from "./components/SpotBuilder";
+import VillainEditor from "./components/VillainEditor";
 import "./App.css";
 
 const API_BASE_URL = "https://deckofcardsapi.com/api/deck";
-const CARD_BACK_IMAGE = LOGIC_CARD_BACK;
-const ROUND_STATES = ["preflop", "flop", "turn", "river"];
+const DECK_SOURCE_STORAGE_KEY = "pokerTrainer.deckSource";
+const CARD_STYLE_STORAGE_KEY = "pokerTrainer.cardStyle";
+const SESSION_TOTALS_STORAGE_KEY = "pokerTrainer.sessionTotals";
+const OUTS_DRILL_STORAGE_KEY = "pokerTrainer.outsDrill";
+const EQUITY_ESTIMATE_STORAGE_KEY = "pokerTrainer.equityEstimate";
+const SPEED_MODE_STORAGE_KEY = "pokerTrainer.speedMode";
+const DEFAULT_SPEED_MODE = { enabled: false, seconds: 15 };
+const SHOT_CLOCK_SECONDS = [5, 10, 15, 20, 30];
+const DIFFICULTY_STORAGE_KEY = "pokerTrainer.difficulty";
+const DEFAULT_CARD_STYLE = { fourColor: false, largeIndex: false };
 const CARDS_VISIBLE_BY_ROUND = [0, 3, 4, 5];
 
 const CARD_VALUE_MAP = {
@@ -19,16 +65,6 @@ const CARD_VALUE_MAP = {
 };
 
 
-const HAND_RANKS = {
-  "High Card": 1,
-  Pair: 2,
-  "Two Pair": 3,
-  "Three of a Kind": 4,
-  Straight: 5,
-  Flush: 6,
-  "Full House": 7,
-};
-
 function getCardValue(card) {
   if (!card || !card.value) {
     return 0;
@@ -40,10 +76,6 @@ function getCardValue(card) {
   return Number.isNaN(parsed) ? 0 : parsed;
 }
 
-function sortCardsByValueDesc(cards) {
-  return [...cards].sort((a, b) => getCardValue(b) - getCardValue(a));
-}
-
 function isConsecutive(numbers) {
   if (numbers.length < 2) return true;
   for (let i = 1; i < numbers.length; i += 1) {
@@ -54,138 +86,6 @@ function isConsecutive(numbers) {
   return true;
 }
 
-function detectStraight(values) {
-  if (values.length < 5) {
-    return { isStraight: false, highCard: 0, isWheel: false };
-  }
-  const unique = Array.from(new Set(values));
-  const expanded = unique.includes(14) ? [...unique, 1] : unique;
-  const sorted = expanded.sort((a, b) => a - b);
-
-  for (let i = 0; i <= sorted.length - 5; i += 1) {
-    const window = sorted.slice(i, i + 5);
-    if (isConsecutive(window)) {
-      const isWheel = window[0] === 1 && window[4] === 5;
-      const highCard = isWheel ? 5 : window[4];
-      return { isStraight: true, highCard, isWheel };
-    }
-  }
-  return { isStraight: false, highCard: 0, isWheel: false };
-}
-
-function evaluateFiveCardHand(cards) {
-  const values = cards.map(getCardValue);
-  const suits = cards.map((card) => card.suit);
-  const valueCounts = values.reduce((acc, value) => {
-    acc[value] = (acc[value] || 0) + 1;
-    return acc;
-  }, {});
-  const suitCounts = suits.reduce((acc, suit) => {
-    acc[suit] = (acc[suit] || 0) + 1;
-    return acc;
-  }, {});
-
-  const counts = Object.values(valueCounts);
-  const pairCount = counts.filter((count) => count === 2).length;
-  const hasTrips = counts.includes(3);
-  const hasFour = counts.includes(4);
-  const hasFullHouse = hasTrips && pairCount > 0;
-
-  const isFlush = Object.values(suitCounts).some((count) => count === 5);
-  const { isStraight, highCard: straightHigh, isWheel } = detectStraight(values);
-
-  let handName = "High Card";
-  let rank = HAND_RANKS["High Card"];
-
-  if (hasFullHouse) {
-    handName = "Full House";
-    rank = HAND_RANKS["Full House"];
-  } else if (isFlush && isStraight) {
-    handName = "Flush";
-    rank = HAND_RANKS.Flush;
-  } else if (isFlush) {
-    handName = "Flush";
-    rank = HAND_RANKS.Flush;
-  } else if (isStraight) {
-    handName = "Straight";
-    rank = HAND_RANKS.Straight;
-  } else if (hasFour) {
-    handName = "Three of a Kind";
-    rank = HAND_RANKS["Three of a Kind"];
-  } else if (hasTrips) {
-    handName = "Three of a Kind";
-    rank = HAND_RANKS["Three of a Kind"];
-  } else if (pairCount >= 2) {
-    handName = "Two Pair";
-    rank = HAND_RANKS["Two Pair"];
-  } else if (pairCount === 1) {
-    handName = "Pair";
-    rank = HAND_RANKS.Pair;
-  }
-
-  const groups = Object.entries(valueCounts).map(([value, count]) => ({
-    value: Number(value),
-    count,
-  }));
-  groups.sort((a, b) => {
-    if (b.count !== a.count) {
-      return b.count - a.count;
-    }
-    return b.value - a.value;
-  });
-
-  let kicker = [];
-  groups.forEach(({ value, count }) => {
-    for (let i = 0; i < count; i += 1) {
-      kicker.push(value);
-    }
-  });
-
-  if (isStraight) {
-    kicker = isWheel
-      ? [5, 4, 3, 2, 1]
-      : [straightHigh, straightHigh - 1, straightHigh - 2, straightHigh - 3, straightHigh - 4];
-  } else if (handName === "Flush" || handName === "High Card") {
-    kicker = values.sort((a, b) => b - a);
-  }
-
-  return { handName, rank, kicker };
-}
-
-function combinations(cards, size) {
-  const result = [];
-
-  function helper(startIndex, combo) {
-    if (combo.length === size) {
-      result.push([...combo]);
-      return;
-    }
-    for (let i = startIndex; i < cards.length; i += 1) {
-      combo.push(cards[i]);
-      helper(i + 1, combo);
-      combo.pop();
-    }
-  }
-
-  helper(0, []);
-  return result;
-}
-
-function isBetterHand(nextHand, currentBest) {
-  if (!currentBest) return true;
-  if (nextHand.rank !== currentBest.rank) {
-    return nextHand.rank > currentBest.rank;
-  }
-  const length = Math.max(nextHand.kicker.length, currentBest.kicker.length);
-  for (let i = 0; i < length; i += 1) {
-    const diff = (nextHand.kicker[i] || 0) - (currentBest.kicker[i] || 0);
-    if (diff !== 0) {
-      return diff > 0;
-    }
-  }
-  return false;
-}
-
 function hasFlushDraw(cards) {
   const suitCounts = cards.reduce((acc, card) => {
     if (!card || !card.suit) return acc;
@@ -327,49 +227,154 @@ function computeHeuristicEquity(heroCards = [], boardCards = []) {
 export function analyzeHand(playerHand = [], visibleCommunityCards = []) {
   const allCards = [...playerHand, ...visibleCommunityCards].filter(Boolean);
   if (allCards.length < 2) {
-    return { handName: "High Card" };
-  }
-
-  let bestEvaluation = null;
-  let bestCombo = null;
-  if (allCards.length >= 5) {
-    const combos = combinations(allCards, 5);
-    combos.forEach((combo) => {
-      const evaluation = evaluateFiveCardHand(combo);
-      if (isBetterHand(evaluation, bestEvaluation)) {
-        bestEvaluation = evaluation;
-        bestCombo = combo;
-      }
-    });
-  } else {
-    const fallbackValues = allCards.map(getCardValue).sort((a, b) => b - a);
-    bestEvaluation = {
-      handName: "High Card",
-      rank: HAND_RANKS["High Card"],
-      kicker: fallbackValues,
-    };
-    bestCombo = sortCardsByValueDesc(allCards).slice(0, Math.min(5, allCards.length));
+    return { handName: "High Card", category: HAND_CATEGORIES.HIGH_CARD, strength: -1 };
   }
 
+  const evaluation = describeHand(allCards.map((card) => card.code));
+
   const draws = [];
-  if (bestEvaluation.rank < HAND_RANKS.Flush && hasFlushDraw(allCards)) {
+  if (evaluation.category < HAND_CATEGORIES.FLUSH && hasFlushDraw(allCards)) {
     draws.push("Flush Draw");
   }
-  if (bestEvaluation.rank < HAND_RANKS.Straight && hasStraightDraw(allCards)) {
+  if (evaluation.category < HAND_CATEGORIES.STRAIGHT && hasStraightDraw(allCards)) {
     draws.push("Straight Draw");
   }
 
   return {
-    handName: bestEvaluation.handName,
+    handName: evaluation.handName,
+    description: evaluation.description,
+    category: evaluation.category,
+    strength: evaluation.strength,
     drawName: draws.length ? draws.join(" & ") : null,
-    bestCards: bestCombo ? bestCombo.map((card) => card.code) : [],
+    bestCards: evaluation.bestCards,
   };
 }
 
-function getRandomInt(min, max) {
-  const low = Math.ceil(min);
-  const high = Math.floor(max);
-  return Math.floor(Math.random() * (high - low + 1)) + low;
+function readDeckSource() {
+  try {
+    return window.localStorage.getItem(DECK_SOURCE_STORAGE_KEY) === "api" ? "api" : "local";
+  } catch {
+    return "local";
+  }
+}
+
+function readCardStyle() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CARD_STYLE_STORAGE_KEY) || "{}");
+    return { ...DEFAULT_CARD_STYLE, ...stored };
+  } catch {
+    return DEFAULT_CARD_STYLE;
+  }
+}
+
+function readOutsDrill() {
+  try {
+    return window.localStorage.getItem(OUTS_DRILL_STORAGE_KEY) === "on";
+  } catch {
+    return false;
+  }
+}
+
+function readEstimateMode() {
+  try {
+    return window.localStorage.getItem(EQUITY_ESTIMATE_STORAGE_KEY) === "on";
+  } catch {
+    return false;
+  }
+}
+
+function readSpeedMode() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SPEED_MODE_STORAGE_KEY) || "{}");
+    return { ...DEFAULT_SPEED_MODE, ...stored };
+  } catch {
+    return DEFAULT_SPEED_MODE;
+  }
+}
+
+function readDifficulty() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(DIFFICULTY_STORAGE_KEY) || "{}");
+    return { ...DEFAULT_DIFFICULTY, ...stored };
+  } catch {
+    return DEFAULT_DIFFICULTY;
+  }
+}
+
+function describeDifficulty(difficulty) {
+  const preset = DIFFICULTY_PROFILES.find((profile) => profile.key === difficulty.profile);
+  return preset ? preset.label : "Custom";
+}
+
+// Seven cards for a hand from the chosen backend. Local deals come from the seed,
+// so the same seed replays the same cards; API deals cannot be replayed. When the
+// API cannot be reached the hand is dealt locally and `fallbackReason` says why.
+async function drawHandCards(source, seed) {
+  const handSeed = seed || generateSeed();
+  const localDeal = { cards: dealHand(handSeed), deckId: handSeed, seed: handSeed };
+  if (source !== "api") {
+    return localDeal;
+  }
+
+  try {
+    const shuffleRes = await fetch(`${API_BASE_URL}/new/shuffle/?deck_count=1`);
+    const shuffleData = await shuffleRes.json();
+    if (!shuffleRes.ok || !shuffleData?.deck_id) {
+      throw new Error("Unable to shuffle deck for new hand.");
+    }
+
+    const drawRes = await fetch(`${API_BASE_URL}/${shuffleData.deck_id}/draw/?count=${HAND_CARD_COUNT}`);
+    const drawData = await drawRes.json();
+    const cards = drawData?.cards ?? [];
+    if (!drawRes.ok || cards.length < HAND_CARD_COUNT) {
+      throw new Error("Unable to draw cards for the next hand.");
+    }
+    return { cards, deckId: shuffleData.deck_id, seed: handSeed };
+  } catch (apiError) {
+    return { ...localDeal, fallbackReason: apiError?.message || "The Deck of Cards API is unreachable." };
+  }
+}
+
+function readSessionTotals() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SESSION_TOTALS_STORAGE_KEY) || "null");
+    return stored?.bands ? stored : createEmptyTotals();
+  } catch {
+    return createEmptyTotals();
+  }
+}
+
+// Seats the table from the hand seed so replays get the same pot, stacks and opponents.
+function seatTable(seed, settings) {
+  return { ...createHandState(createHandRng(seed, "table"), getTableOptions(settings)), seed };
+}
+
+// Deals the villain action for the table's street; extra attempts for the EV margin get their own streams.
+function dealTableStreet(table, cards, settings) {
+  return dealDifficultyStreet(
+    table,
+    settings,
+    { heroCards: cards.slice(0, 2), fullBoard: cards.slice(2, HAND_CARD_COUNT) },
+    (attempt) => streetRng(table, attempt === 0 ? "street" : `street-try${attempt}`)
+  );
+}
+
+// Per-street random stream; hands saved before seeding existed fall back to Math.random.
+function streetRng(state, label) {
+  return state?.seed ? createHandRng(state.seed, `${label}-${state.streetIndex}`) : Math.random;
+}
+
+function describeHandHistory(history = []) {
+  return history
+    .map(({ street, action, amount, callers }) => {
+      const streetLabel = street.charAt(0).toUpperCase() + street.slice(1);
+      const sizing = amount > 0 ? ` $${formatDollars(amount)}` : "";
+      let followUp = "";
+      if (action === "Raise") followUp = callers > 0 ? ` (${callers} called)` : " (all folded)";
+      if (action === "Call" && callers > 0) followUp = ` (+${callers} overcall${callers > 1 ? "s" : ""})`;
+      return `${streetLabel}: ${action}${sizing}${followUp}`;
+    })
+    .join(" → ");
 }
 
 function formatDollars(value) {
@@ -411,6 +416,57 @@ function applyInlineEmphasis(text, keyPrefix = "inline") {
   );
 }
 
+function renderFeedback(feedback) {
+  const toneClass = {
+    best: "bg-green-500",
+    fine: "app__feedback--fine",
+    inaccuracy: "app__feedback--inaccuracy",
+    blunder: "bg-red-500",
+  }[feedback.band] || "app__feedback--neutral";
+  const { hint } = feedback;
+
+  return (
+    <div className={`app__feedback ${toneClass}`}>
+      {feedback.message}
+      {Number.isFinite(feedback.decisionMs) && (
+        <p className="app__feedback-hint">
+          {feedback.timedOut
+            ? "The shot clock ran out, so your hand was folded."
+            : `Decided in ${(feedback.decisionMs / 1000).toFixed(1)}s.`}
+        </p>
+      )}
+      {hint && (
+        <p className="app__feedback-hint">
+          Rule of thumb: {hint.move} – {hint.reason}
+          {hint.agrees === false &&
+            ` The EV model disagrees here and prefers ${feedback.optimalAction}; the grade above follows the EV math.`}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function describeSharedAnswer(answer) {
+  const band = EV_LOSS_BANDS.find((entry) => entry.key === answer.band);
+  const sizing = answer.action === "Raise" && answer.raiseAmount ? ` to $${formatDollars(answer.raiseAmount)}` : "";
+  const grade = band ? ` – graded ${band.label} (${Number(answer.evLossBB || 0).toFixed(2)} bb given up)` : "";
+  return `Whoever shared this spot chose ${answer.action}${sizing}${grade}.`;
+}
+
+function describeTotals(totals) {
+  const bandCounts = [
+    ["best", "best"],
+    ["fine", "fine"],
+    ["inaccuracy", "inaccuracies"],
+    ["blunder", "blunders"],
+  ]
+    .map(([key, label]) => `${totals.bands[key]} ${label}`)
+    .join(", ");
+  return `$${formatDollars(totals.evLoss)} (${totals.evLossBB.toFixed(2)} bb) EV given up over ${totals.decisions} decision${
+    totals.decisions === 1 ? "" : "s"
+  } – ${bandCounts}`;
+}
+
 function renderStrategyExplanation(text) {
   const lines = text.split("\n");
   const elements = [];
@@ -457,42 +513,12 @@ function renderStrategyExplanation(text) {
   return <div className="app__strategy-rich">{elements}</div>;
 }
 
-const SCENARIO_TEMPLATES = [
-  {
-    description: "Everyone checks to you.",
-    amountToCall: 0,
-    betSize: 0,
-    actionType: "check",
-  },
-  {
-    description: "1 opponent bets $10 (half pot).",
-    amountToCall: 10,
-    betSize: 10,
-    actionType: "bet",
-  },
-  {
-    description: "1 opponent bets $20 (full pot).",
-    amountToCall: 20,
-    betSize: 20,
-    actionType: "bet",
-  },
-  {
-    description: "2 opponents limp and wait for your move.",
-    amountToCall: 5,
-    betSize: 5,
-    actionType: "call",
-  },
-  {
-    description: "One opponent shoves all in.",
-    amountToCall: 50,
-    betSize: 50,
-    actionType: "raise",
-  },
-];
-
-const HERO_POSITIONS = ["Button", "Cutoff", "Hijack", "Middle Position", "Small Blind", "Big Blind"];
-const OPPONENT_POSITIONS = ["Under the Gun", "Middle Position", "Hijack", "Cutoff", "Button", "Small Blind", "Big Blind"];
-const ARCHETYPES = ["Nit", "Default", "LAG", "Calling Station"];
+const HAND_RESULT_TEXT = {
+  folded: "You folded and gave up the pot.",
+  "won-uncontested": "Everyone folded to your raise – you take the pot.",
+  "all-in": "The chips are all in, so the rest of the board runs out.",
+  showdown: "The river action is closed and the hand goes to showdown.",
+};
 
 const GLOSSARY_SECTIONS = [
   {
@@ -556,30 +582,6 @@ const GLOSSARY_SECTIONS = [
   },
 ];
 
-export function generateScenario() {
-  const template = SCENARIO_TEMPLATES[getRandomInt(0, SCENARIO_TEMPLATES.length - 1)];
-  const numOpponents = getRandomInt(1, 5);
-  const potSize = getRandomInt(25, 150);
-  const effectiveStack = getRandomInt(potSize + 40, potSize + 250);
-
-  return {
-    numOpponents,
-    potSize,
-    effectiveStack,
-    opponentAction: template.description,
-    amountToCall: template.amountToCall,
-    betSize: template.betSize,
-    actionType: template.actionType,
-    opponentArchetype: ARCHETYPES[getRandomInt(0, ARCHETYPES.length - 1)],
-    opponentPosition: OPPONENT_POSITIONS[getRandomInt(0, OPPONENT_POSITIONS.length - 1)],
-    heroPosition: HERO_POSITIONS[getRandomInt(0, HERO_POSITIONS.length - 1)],
-  };
-}
-
-const PREMIUM_HANDS = new Set(["Full House", "Flush"]);
-const STRONG_HANDS = new Set(["Straight", "Three of a Kind", "Two Pair"]);
-const WEAK_HANDS = new Set(["High Card"]);
-
 export function getCorrectDecision(hand, scenario, playerHand = []) {
   if (!hand || !scenario || !hand.handName) {
     return {
@@ -593,7 +595,10 @@ export function getCorrectDecision(hand, scenario, playerHand = []) {
   const largeBet =
     action.includes("all in") || action.includes("full pot") || action.includes("shove");
   const smallBet =
-    action.includes("half pot") || action.includes("checks") || action.includes("limp");
+    action.includes("half pot") ||
+    action.includes("third pot") ||
+    action.includes("checks") ||
+    action.includes("limp");
   const hasDraw = Boolean(hand.drawName);
   const drawIsFlush = hand.drawName?.includes("Flush");
   const drawIsStraight = hand.drawName?.includes("Straight");
@@ -605,14 +610,16 @@ export function getCorrectDecision(hand, scenario, playerHand = []) {
   const premiumKicker = topHoleValue >= CARD_VALUE_MAP.ACE;
   const strongKicker = topHoleValue >= CARD_VALUE_MAP.KING;
 
-  if (PREMIUM_HANDS.has(hand.handName)) {
+  const category = Number.isInteger(hand.category) ? hand.category : HAND_CATEGORIES.HIGH_CARD;
+
+  if (category >= HAND_CATEGORIES.FLUSH) {
     return {
       move: "Raise",
       reason: "Premium made hands should press for value.",
     };
   }
 
-  if (STRONG_HANDS.has(hand.handName)) {
+  if (category >= HAND_CATEGORIES.TWO_PAIR) {
     if (largeBet) {
       return {
         move: "Call",
@@ -625,7 +632,7 @@ export function getCorrectDecision(hand, scenario, playerHand = []) {
     };
   }
 
-  if (hand.handName === "Pair") {
+  if (category === HAND_CATEGORIES.PAIR) {
     if (largeBet) {
       if (premiumKicker || (strongKicker && scenario.numOpponents <= 2)) {
         return {
@@ -665,20 +672,18 @@ export function getCorrectDecision(hand, scenario, playerHand = []) {
     };
   }
 
-  if (WEAK_HANDS.has(hand.handName)) {
-    if (hand.handName === "High Card") {
-      if (premiumKicker && !largeBet) {
-        return {
-          move: "Call",
-          reason: "Ace high can still be ahead when the pressure is modest.",
-        };
-      }
-      if (strongKicker && smallBet) {
-        return {
-          move: "Call",
-          reason: "High cards like kings can justify calling small bets.",
-        };
-      }
+  if (category === HAND_CATEGORIES.HIGH_CARD) {
+    if (premiumKicker && !largeBet) {
+      return {
+        move: "Call",
+        reason: "Ace high can still be ahead when the pressure is modest.",
+      };
+    }
+    if (strongKicker && smallBet) {
+      return {
+        move: "Call",
+        reason: "High cards like kings can justify calling small bets.",
+      };
     }
     return {
       move: "Fold",
@@ -701,11 +706,15 @@ export function getCorrectDecision(hand, scenario, playerHand = []) {
 
 export default function App() {
   const [deckId, setDeckId] = useState("");
+  const [deckSource, setDeckSource] = useState(readDeckSource);
+  const [seedInput, setSeedInput] = useState("");
+  const [cardStyle, setCardStyle] = useState(readCardStyle);
   const [playerHand, setPlayerHand] = useState([]);
   const [communityCards, setCommunityCards] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [roundIndex, setRoundIndex] = useState(0);
+  const [handState, setHandState] = useState(null);
   const [currentScenario, setCurrentScenario] = useState(null);
   const [feedback, setFeedback] = useState(null);
   const [showResults, setShowResults] = useState(false);
@@ -714,6 +723,34 @@ export default function App() {
   const [showMathDetails, setShowMathDetails] = useState(false);
   const [showGlossary, setShowGlossary] = useState(false);
   const [awaitingAdvance, setAwaitingAdvance] = useState(false);
+  const [showRaiseSizer, setShowRaiseSizer] = useState(false);
+  const [handTotals, setHandTotals] = useState(createEmptyTotals);
+  const [sessionTotals, setSessionTotals] = useState(readSessionTotals);
+  const [deckNotice, setDeckNotice] = useState("");
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyRecords, setHistoryRecords] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [showLeakReport, setShowLeakReport] = useState(false);
+  const [drill, setDrill] = useState(null);
+  const [reviewDueCount, setReviewDueCount] = useState(0);
+  const [showSpotBuilder, setShowSpotBuilder] = useState(false);
+  const [showQuiz, setShowQuiz] = useState(false);
+  const [lastDecision, setLastDecision] = useState(null);
+  const [sharedAnswer, setSharedAnswer] = useState(null);
+  const [shareLink, setShareLink] = useState(null);
+  const [outsDrillOn, setOutsDrillOn] = useState(readOutsDrill);
+  const [outsResult, setOutsResult] = useState(null);
+  const [outsTotals, setOutsTotals] = useState({ boards: 0, scoreSum: 0 });
+  const [estimateOn, setEstimateOn] = useState(readEstimateMode);
+  const [equityEstimate, setEquityEstimate] = useState("");
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [speedMode, setSpeedMode] = useState(readSpeedMode);
+  const [decisionStartedAt, setDecisionStartedAt] = useState(0);
+  const [showSpeedReport, setShowSpeedReport] = useState(false);
+  const [difficulty, setDifficulty] = useState(readDifficulty);
+  const [showDifficulty, setShowDifficulty] = useState(false);
+  const [showVillainEditor, setShowVillainEditor] = useState(false);
+  const difficultySettings = useMemo(() => resolveDifficulty(difficulty), [difficulty]);
 
   const visibleCount = useMemo(
     () => CARDS_VISIBLE_BY_ROUND[roundIndex] ?? 0,
@@ -730,6 +767,11 @@ export default function App() {
     [playerHand]
   );
 
+  const visibleBoardCodes = useMemo(
+    () => visibleCommunityCards.map((card) => card?.code).filter(Boolean),
+    [visibleCommunityCards]
+  );
+
   const fullBoardCards = useMemo(
     () => communityCards.slice(0, 5),
     [communityCards]
@@ -743,104 +785,46 @@ export default function App() {
     return slots;
   }, [fullBoardCards]);
 
-  const renderOutsDetail = (detail, keyPrefix) => {
-    if (
-      !detail ||
-      typeof detail !== "object" ||
-      !Array.isArray(detail.cards) ||
-      detail.cards.length === 0 ||
-      detail.total <= 0
-    ) {
-      return (
-        <p className="app__outs-empty" key={`${keyPrefix}-outs-empty`}>
-          No clear outs identified beyond overcards.
-        </p>
-      );
-    }
+  const raiseOptions = useMemo(
+    () =>
+      currentScenario
+        ? getRaiseSizeOptions({
+            potSize: currentScenario.potSize,
+            betSize: currentScenario.betSize,
+            amountToCall: currentScenario.amountToCall,
+            effectiveStack: currentScenario.effectiveStack,
+          })
+        : [],
+    [currentScenario]
+  );
 
-    const categories = [
-      { key: "flush", label: "Flush outs" },
-      { key: "straight", label: "Straight outs" },
-      { key: "rank", label: "Pair / Set outs" },
-    ];
-
-    return categories
-      .map(({ key, label }) => {
-        const cards = detail.categories?.[key] || [];
-        if (!cards.length) return null;
-        return (
-          <div className="app__outs-category" key={`${keyPrefix}-${key}`}>
-            <span className="app__outs-category-label">{label}</span>
-            <div className="app__outs-chips">
-              {cards.map((code) => (
-                <span className="app__out-chip" key={`${keyPrefix}-${key}-${code}`}>
-                  {code}
-                </span>
-              ))}
-            </div>
-          </div>
-        );
-      })
-      .concat([
-        <div className="app__outs-category app__outs-category--all" key={`${keyPrefix}-all`}>
-          <span className="app__outs-category-label">All outs ({detail.total})</span>
-          <div className="app__outs-chips">
-            {detail.cards.map((code) => (
-              <span className="app__out-chip app__out-chip--all" key={`${keyPrefix}-all-${code}`}>
-                {code}
-              </span>
-            ))}
-          </div>
-        </div>,
-      ])
-      .filter(Boolean);
-  };
+  const renderShareRow = () => (
+    <div className="app__share-row">
+      <button type="button" className="app__raise-option" onClick={() => shareSpot(false)}>
+        Copy spot link
+      </button>
+      {lastDecision && (
+        <button type="button" className="app__raise-option" onClick={() => shareSpot(true)}>
+          Copy link with my answer
+        </button>
+      )}
+      {shareLink && (
+        <label className="app__history-filter app__share-link">
+          <span>{shareLink.copied ? "Link copied to the clipboard" : "Copy this link"}</span>
+          <input type="text" readOnly value={shareLink.url} onFocus={(event) => event.target.select()} />
+        </label>
+      )}
+    </div>
+  );
 
-  const renderEvDetails = (details, keyPrefix) => {
-    if (!Array.isArray(details) || details.length === 0) {
-      return (
-        <p className="app__ev-detail-empty" key={`${keyPrefix}-ev-empty`}>
-          EV breakdown unavailable for this scenario.
-        </p>
-      );
-    }
+  // The outs drill runs on the flop and turn, before the street's decision (or alongside its result).
+  const showOutsDrill =
+    outsDrillOn && (visibleCount === 3 || visibleCount === 4) && (Boolean(outsResult) || !feedback);
 
-    return details.map((detail, index) => {
-      const components = Array.isArray(detail.components) ? detail.components : [];
-      return (
-        <div className="app__ev-detail" key={`${keyPrefix}-detail-${detail.action}-${index}`}>
-          <div className="app__ev-detail-header">
-            <span className="app__ev-detail-action">{detail.action}</span>
-            <span className="app__ev-detail-value">
-              {detail.ev >= 0 ? "+" : "-"}${formatDollars(Math.abs(detail.ev))}
-            </span>
-          </div>
-          <p className="app__ev-detail-explanation">{detail.explanation}</p>
-          {components.length > 0 && (
-            <ul className="app__ev-detail-list">
-              {components.map((item, compIndex) => {
-                const key = `${keyPrefix}-${detail.action}-${index}-${compIndex}`;
-                const type = item.type || "raw";
-                let displayValue = item.value;
-                if (type === "percent") {
-                  displayValue = `${formatPercent(item.value)}%`;
-                } else if (type === "dollar") {
-                  displayValue = `$${formatDollars(item.value)}`;
-                }
-                return (
-                  <li className="app__ev-detail-item" key={key}>
-                    <span className="app__ev-detail-label">{item.label}:</span>{" "}
-                    <span className="app__ev-detail-number">{displayValue}</span>
-                  </li>
-                );
-              })}
-            </ul>
-          )}
-          {detail.note && <p className="app__ev-detail-note">{detail.note}</p>}
-        </div>
-      );
-    });
-  };
+  const estimateMissing = estimateOn && parseEquityEstimate(equityEstimate) === null;
+  const decisionOpen = Boolean(
+    currentScenario && !loading && !showResults && !feedback && !awaitingAdvance && (!showOutsDrill || outsResult)
+  );
 
   const nextStreetRaw = ROUND_STATES[Math.min(roundIndex + 1, ROUND_STATES.length - 1)];
   const nextStreetLabel = nextStreetRaw.charAt(0).toUpperCase() + nextStreetRaw.slice(1);
@@ -850,59 +834,6 @@ export default function App() {
     [playerHand, visibleCommunityCards]
   );
 
-  function buildAnalysisScenario(userActionLabel) {
-    if (!currentScenario || heroCardCodes.length < 2) {
-      return null;
-    }
-
-    const amountToCallValue = Number(currentScenario.amountToCall ?? 0);
-    const betSizeValue =
-      currentScenario.betSize !== undefined
-        ? Number(currentScenario.betSize)
-        : amountToCallValue;
-
-    const visibleBoardCodes = visibleCommunityCards
-      .map((card) => card?.code)
-      .filter(Boolean);
-
-    const streetIndex = Math.min(roundIndex, ROUND_STATES.length - 1);
-    const street = ROUND_STATES[streetIndex];
-
-    const actionHistory = [
-      {
-        actor: "opponent",
-        street,
-        type: currentScenario.actionType || (amountToCallValue > 0 ? "bet" : "check"),
-        amount: betSizeValue,
-      },
-    ];
-
-    return {
-      gameState: {
-        potSize: Number(currentScenario.potSize ?? 0),
-        effectiveStack: Number(currentScenario.effectiveStack ?? 0),
-        communityCards: visibleBoardCodes,
-        numPlayers: Math.max(2, Number(currentScenario.numOpponents ?? 1) + 1),
-      },
-      heroState: {
-        holeCards: heroCardCodes,
-        position: currentScenario.heroPosition || "Button",
-      },
-      opponentProfile: {
-        position: currentScenario.opponentPosition || "Middle Position",
-        archetype: currentScenario.opponentArchetype || "Default",
-      },
-      actionHistory,
-      currentDecision: {
-        amountToCall: amountToCallValue,
-        betSize: betSizeValue,
-      },
-      metadata: {
-        userAction: userActionLabel,
-      },
-    };
-  }
-
   function advanceToNextStreet() {
     if (roundIndex >= ROUND_STATES.length - 1) {
       setAwaitingAdvance(false);
@@ -910,28 +841,26 @@ export default function App() {
     }
 
     setRoundIndex((prev) => Math.min(prev + 1, ROUND_STATES.length - 1));
-    setCurrentScenario(generateScenario());
+    setCurrentScenario(
+      handState ? dealTableStreet(handState, [...playerHand, ...communityCards], difficultySettings) : null
+    );
     setFeedback(null);
     setStrategyExplanation("");
     setMathBreakdown(null);
     setShowMathDetails(false);
     setAwaitingAdvance(false);
+    setLastDecision(null);
+    setSharedAnswer(null);
+    setShareLink(null);
+    setOutsResult(null);
+    setEquityEstimate("");
   }
 
-  function handleDecision(userMove) {
-    const correctMove = getCorrectDecision(currentHand, currentScenario, playerHand);
-    if (!correctMove) {
-      setFeedback({
-        type: "incorrect",
-        message: "Unable to evaluate the situation. Try dealing a new hand.",
-      });
-      setStrategyExplanation("");
-      setMathBreakdown(null);
-      setShowMathDetails(false);
-      setShowResults(true);
-      setAwaitingAdvance(false);
-      return;
-    }
+  function handleDecision(userMove, raiseAmount, { timedOut = false } = {}) {
+    setShowRaiseSizer(false);
+    const decisionMs = decisionStartedAt > 0 ? Date.now() - decisionStartedAt : null;
+    // Rule-of-thumb advice is only a hint; the verdict comes from the EV analysis below.
+    const ruleHint = getCorrectDecision(currentHand, currentScenario, playerHand);
 
     const rawMove = (userMove || "").trim().toUpperCase();
     const amountToCallValue = Number(currentScenario?.amountToCall ?? 0);
@@ -996,31 +925,15 @@ export default function App() {
 
     const normalizedAction = normalizeAction();
     const userMoveUpper = normalizedAction.toUpperCase();
-    const correctMoveUpper = (correctMove.move || "").toUpperCase();
-
-    const displayCorrectMove =
-      correctMoveUpper === "CALL"
-        ? amountToCallValue > 0
-          ? "Check/Call"
-          : "Check"
-        : correctMoveUpper.charAt(0) + correctMoveUpper.slice(1).toLowerCase();
-
-    if (userMoveUpper === correctMoveUpper) {
-      setFeedback({
-        type: "correct",
-        message: `Correct! ${correctMove.reason}`,
-      });
-    } else {
-      setFeedback({
-        type: "incorrect",
-        message: `Incorrect. The best move is to ${displayCorrectMove} because ${correctMove.reason}`,
-      });
-    }
 
     let metricsToUse = fallbackMetrics;
 
     try {
-      const scenarioPayload = buildAnalysisScenario(normalizedAction);
+      const scenarioPayload = buildAnalysisScenario(
+        { heroCards: playerHand, boardCards: visibleCommunityCards, roundIndex, scenario: currentScenario },
+        normalizedAction,
+        raiseAmount
+      );
       if (scenarioPayload) {
         const analysis = analyzeScenario(scenarioPayload, normalizedAction);
         if (typeof analysis === "string") {
@@ -1056,10 +969,88 @@ export default function App() {
       metricsToUse = { ...metricsToUse, potOdds: potOddsValue };
     }
 
+    // The estimate is typed before acting; it rides along so the math panel can compare it with the engine.
+    const estimateValue = estimateOn ? parseEquityEstimate(equityEstimate) : null;
+    if (estimateValue !== null) {
+      metricsToUse = { ...metricsToUse, equityEstimate: estimateValue };
+    }
+
     setMathBreakdown(metricsToUse);
     setShowMathDetails(true);
+    const grade = gradeDecision({
+      metrics: metricsToUse,
+      userAction: normalizedAction,
+      hint: ruleHint,
+      bigBlind: Number(currentScenario?.bigBlind ?? 1),
+    });
+    setFeedback({ ...grade, hint: difficultySettings.hints ? grade.hint : null, decisionMs, timedOut });
+    setShareLink(null);
+    setHandTotals((prev) => addGradeToTotals(prev, grade));
+    setSessionTotals((prev) => addGradeToTotals(prev, grade));
+    const spot = {
+      street: ROUND_STATES[Math.min(roundIndex, ROUND_STATES.length - 1)],
+      roundIndex,
+      heroCards: playerHand,
+      boardCards: visibleCommunityCards,
+      fullBoard: communityCards,
+      scenario: currentScenario,
+      handState,
+    };
+    setLastDecision({
+      spot,
+      answer: { action: normalizedAction, raiseAmount, band: grade.band, evLossBB: grade.evLossBB },
+    });
+    if (grade.band !== "ungraded") {
+      saveDecision({
+        ...spot,
+        handName: currentHand.handName,
+        drawName: currentHand.drawName,
+        userAction: normalizedAction,
+        raiseAmount: normalizedAction === "Raise" ? raiseAmount : null,
+        optimalAction: grade.optimalAction,
+        evLoss: grade.evLoss,
+        evLossBB: grade.evLossBB,
+        band: grade.band,
+        heroEquity: Number(metricsToUse.heroEquity),
+        equityEstimate: estimateValue,
+        decisionMs,
+        timedOut,
+        shotClock: speedMode.enabled ? speedMode.seconds : null,
+      }).catch((historyError) => {
+        console.warn("Could not save decision to history:", historyError);
+      });
+
+      // The first decision of a review spot is its SM-2 answer; fresh misses join the queue.
+      const reviewItem =
+        drill?.kind === "review" && drill.gradedIndex < drill.index ? drill.items[drill.index] : null;
+      let queueUpdate = null;
+      if (reviewItem) {
+        setDrill({ ...drill, gradedIndex: drill.index });
+        queueUpdate = scheduleReview(reviewItem, grade.band);
+      } else if (needsReview(grade.band)) {
+        queueUpdate = createReviewItem(spot, grade.band);
+      }
+      if (queueUpdate) {
+        saveReviewItem(queueUpdate)
+          .then(refreshReviewCount)
+          .catch((reviewError) => {
+            console.warn("Could not update the review queue:", reviewError);
+          });
+      }
+    }
 
-    if (userMoveUpper === "FOLD") {
+    // Put the chips in and let opponents fold or continue, so the next street plays on from here.
+    const nextHandState = handState
+      ? applyHeroAction(handState, currentScenario, {
+          action: normalizedAction,
+          raiseAmount,
+          foldEquity: metricsToUse.chosenRaise?.foldEquity,
+          overcallRate: Number.isFinite(metricsToUse.overcallRate) ? metricsToUse.overcallRate / 100 : undefined,
+        }, streetRng(handState, "response"))
+      : null;
+    setHandState(nextHandState);
+
+    if (userMoveUpper === "FOLD" || nextHandState?.finished) {
       setShowResults(true);
       setAwaitingAdvance(false);
       return;
@@ -1074,37 +1065,251 @@ export default function App() {
     setAwaitingAdvance(false);
   }
 
-  async function getNewHand() {
-    setLoading(true);
+  async function loadHistoryRecords() {
+    setHistoryLoading(true);
+    try {
+      setHistoryRecords(await listDecisions());
+    } catch (historyError) {
+      console.warn("Could not load history:", historyError);
+      setHistoryRecords([]);
+    } finally {
+      setHistoryLoading(false);
+    }
+  }
+
+  function openHistory() {
+    setShowHistory(true);
+    loadHistoryRecords();
+  }
+
+  function openLeakReport() {
+    setShowLeakReport(true);
+    loadHistoryRecords();
+  }
+
+  function openCalibration() {
+    setShowCalibration(true);
+    loadHistoryRecords();
+  }
+
+  function openSpeedReport() {
+    setShowSpeedReport(true);
+    loadHistoryRecords();
+  }
+
+  // Drills replay a spot type's saved decisions, costliest mistakes first.
+  function startDrill(category) {
+    const spots = [...category.records].sort((a, b) => (Number(b.evLossBB) || 0) - (Number(a.evLossBB) || 0));
+    if (spots.length === 0) return;
+    setDrill({ kind: "drill", label: category.label, spots, index: 0 });
+    reopenSpot(spots[0]);
+  }
+
+  async function refreshReviewCount() {
+    setReviewDueCount(getDueItems(await listReviewItems()).length);
+  }
+
+  // Reviews run through the same queue as drills, serving due spots most overdue first.
+  async function startReview() {
+    const items = getDueItems(await listReviewItems());
+    setReviewDueCount(items.length);
+    if (items.length === 0) return;
+    setDrill({
+      kind: "review",
+      label: "missed spots",
+      spots: items.map((item) => item.spot),
+      items,
+      index: 0,
+      gradedIndex: -1,
+    });
+    reopenSpot(items[0].spot);
+  }
+
+  function nextDrillSpot() {
+    const nextIndex = drill ? drill.index + 1 : 0;
+    if (!drill || nextIndex >= drill.spots.length) {
+      setDrill(null);
+      getNewHand();
+      return;
+    }
+    setDrill({ ...drill, index: nextIndex });
+    reopenSpot(drill.spots[nextIndex]);
+  }
+
+  function playBuiltSpot(spot) {
+    setDrill(null);
+    reopenSpot(spot);
+  }
+
+  // A saved library plays as a drill, one built spot after another.
+  function playSpotLibrary(spots) {
+    setDrill({ kind: "drill", label: "spot library", spots, index: 0 });
+    reopenSpot(spots[0]);
+  }
+
+  async function handleClearHistory() {
+    await clearHistory();
+    setHistoryRecords([]);
+  }
+
+  function reopenSpot(record) {
+    setPlayerHand(record.heroCards || []);
+    setCommunityCards(record.fullBoard || record.boardCards || []);
+    setRoundIndex(record.roundIndex ?? 0);
+    setHandState(record.handState || null);
+    setCurrentScenario(record.scenario || null);
     setFeedback(null);
-    setError("");
-    setRoundIndex(0);
     setShowResults(false);
     setStrategyExplanation("");
     setMathBreakdown(null);
     setShowMathDetails(false);
     setAwaitingAdvance(false);
+    setShowRaiseSizer(false);
+    setHandTotals(createEmptyTotals());
+    setError("");
+    setLastDecision(null);
+    setSharedAnswer(null);
+    setShareLink(null);
+    setOutsResult(null);
+    setEquityEstimate("");
+    setShowHistory(false);
+    setShowLeakReport(false);
+    setShowSpotBuilder(false);
+  }
 
+  // Links point at the decision before it was answered; the answer rides along only when asked for.
+  async function shareSpot(includeAnswer) {
+    const spot = lastDecision?.spot ?? {
+      roundIndex,
+      heroCards: playerHand,
+      boardCards: visibleCommunityCards,
+      fullBoard: communityCards,
+      scenario: currentScenario,
+      handState,
+    };
+    const url = buildSpotLink(spot, includeAnswer ? lastDecision?.answer : null, window.location.href);
     try {
-      const shuffleRes = await fetch(`${API_BASE_URL}/new/shuffle/?deck_count=1`);
-      const shuffleData = await shuffleRes.json();
-      if (!shuffleRes.ok || !shuffleData?.deck_id) {
-        throw new Error("Unable to shuffle deck for new hand.");
-      }
+      await navigator.clipboard.writeText(url);
+      setShareLink({ url, copied: true });
+    } catch {
+      setShareLink({ url, copied: false });
+    }
+  }
 
-      const freshDeckId = shuffleData.deck_id;
-      setDeckId(freshDeckId);
+  function changeDeckSource(source) {
+    setDeckSource(source);
+    try {
+      window.localStorage.setItem(DECK_SOURCE_STORAGE_KEY, source);
+    } catch {
+      // Storage can be unavailable (private mode); the choice then lasts for this visit.
+    }
+  }
 
-      const drawRes = await fetch(`${API_BASE_URL}/${freshDeckId}/draw/?count=7`);
-      const drawData = await drawRes.json();
-      const cards = drawData?.cards ?? [];
-      if (!drawRes.ok || cards.length < 7) {
-        throw new Error("Unable to draw cards for the next hand.");
-      }
+  function toggleOutsDrill() {
+    setOutsDrillOn(!outsDrillOn);
+    try {
+      window.localStorage.setItem(OUTS_DRILL_STORAGE_KEY, outsDrillOn ? "off" : "on");
+    } catch {
+      // Storage can be unavailable (private mode); the choice then lasts for this visit.
+    }
+  }
+
+  function changeSpeedMode(changes) {
+    const next = { ...speedMode, ...changes };
+    setSpeedMode(next);
+    try {
+      window.localStorage.setItem(SPEED_MODE_STORAGE_KEY, JSON.stringify(next));
+    } catch {
+      // Storage can be unavailable (private mode); the choice then lasts for this visit.
+    }
+  }
+
+  function saveDifficulty(next) {
+    setDifficulty(next);
+    setShowDifficulty(false);
+    try {
+      window.localStorage.setItem(DIFFICULTY_STORAGE_KEY, JSON.stringify(next));
+    } catch {
+      // Storage can be unavailable (private mode); the choice then lasts for this visit.
+    }
+  }
+
+  // A renamed villain keeps its seat at the table and its place in the custom difficulty profile.
+  function renameVillain(from, to) {
+    const rename = (entry) => (entry?.opponentArchetype === from ? { ...entry, opponentArchetype: to } : entry);
+    setHandState(rename);
+    setCurrentScenario(rename);
+    if (difficulty.custom?.archetypes?.includes(from)) {
+      saveDifficulty({
+        ...difficulty,
+        custom: { ...difficulty.custom, archetypes: difficulty.custom.archetypes.map((name) => (name === from ? to : name)) },
+      });
+    }
+  }
+
+  // Deleting the seated villain would silently leave a Default range behind, so reseat it as Default and say so.
+  function unseatDeletedVillain(name) {
+    if (currentScenario?.opponentArchetype !== name && handState?.opponentArchetype !== name) return;
+    const reseat = (entry) => (entry?.opponentArchetype === name ? { ...entry, opponentArchetype: "Default" } : entry);
+    setHandState(reseat);
+    setCurrentScenario(reseat);
+    setDeckNotice(`${name} was deleted, so the villain in this hand now plays as the Default archetype.`);
+  }
+
+  function toggleEstimateMode() {
+    setEstimateOn(!estimateOn);
+    try {
+      window.localStorage.setItem(EQUITY_ESTIMATE_STORAGE_KEY, estimateOn ? "off" : "on");
+    } catch {
+      // Storage can be unavailable (private mode); the choice then lasts for this visit.
+    }
+  }
+
+  function submitOuts(picks) {
+    const result = scoreOutsSelection(getOutsDetail(heroCardCodes, visibleBoardCodes), picks);
+    setOutsResult(result);
+    setOutsTotals((prev) => ({ boards: prev.boards + 1, scoreSum: prev.scoreSum + result.score }));
+  }
+
+  function toggleCardStyle(option) {
+    const next = { ...cardStyle, [option]: !cardStyle[option] };
+    setCardStyle(next);
+    try {
+      window.localStorage.setItem(CARD_STYLE_STORAGE_KEY, JSON.stringify(next));
+    } catch {
+      // Storage can be unavailable (private mode); the choice then lasts for this visit.
+    }
+  }
+
+  async function getNewHand(seed) {
+    setLoading(true);
+    setFeedback(null);
+    setError("");
+    setShowResults(false);
+    setStrategyExplanation("");
+    setMathBreakdown(null);
+    setShowMathDetails(false);
+    setAwaitingAdvance(false);
+    setHandTotals(createEmptyTotals());
+    setLastDecision(null);
+    setSharedAnswer(null);
+    setShareLink(null);
+    setOutsResult(null);
+    setEquityEstimate("");
+    if (isSpotLink(window.location.hash)) {
+      window.history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+    }
 
-      setPlayerHand(cards.slice(0, 2));
-      setCommunityCards(cards.slice(2, 7));
-      setCurrentScenario(generateScenario());
+    try {
+      const dealt = await drawHandCards(seed ? "local" : deckSource, seed);
+      const table = seatTable(dealt.seed, difficultySettings);
+      setDeckNotice(dealt.fallbackReason ? `${dealt.fallbackReason} Dealt from the local deck instead.` : "");
+      setDeckId(dealt.deckId);
+      setPlayerHand(dealt.cards.slice(0, 2));
+      setCommunityCards(dealt.cards.slice(2, HAND_CARD_COUNT));
+      setRoundIndex(table.streetIndex);
+      setHandState(table);
+      setCurrentScenario(dealTableStreet(table, dealt.cards, difficultySettings));
     } catch (e) {
       setError(e?.message ?? "Failed to load the next hand.");
     } finally {
@@ -1118,25 +1323,16 @@ export default function App() {
       setLoading(true);
       setError("");
       try {
-        const shuffleRes = await fetch(`${API_BASE_URL}/new/shuffle/?deck_count=1`);
-        const shuffleData = await shuffleRes.json();
-        if (!shuffleRes.ok || !shuffleData?.deck_id) {
-          throw new Error("Could not shuffle a new deck.");
-        }
-
-        setDeckId(shuffleData.deck_id);
-
-        const drawRes = await fetch(`${API_BASE_URL}/${shuffleData.deck_id}/draw/?count=7`);
-        const drawData = await drawRes.json();
-        const cards = drawData?.cards ?? [];
-        if (!drawRes.ok || cards.length < 7) {
-          throw new Error("Unable to draw enough cards.");
-        }
-
-        setPlayerHand(cards.slice(0, 2));
-        setCommunityCards(cards.slice(2, 7));
-        setRoundIndex(0);
-        setCurrentScenario(generateScenario());
+        const dealt = await drawHandCards(readDeckSource());
+        const settings = resolveDifficulty(readDifficulty());
+        const table = seatTable(dealt.seed, settings);
+        setDeckNotice(dealt.fallbackReason ? `${dealt.fallbackReason} Dealt from the local deck instead.` : "");
+        setDeckId(dealt.deckId);
+        setPlayerHand(dealt.cards.slice(0, 2));
+        setCommunityCards(dealt.cards.slice(2, HAND_CARD_COUNT));
+        setRoundIndex(table.streetIndex);
+        setHandState(table);
+        setCurrentScenario(dealTableStreet(table, dealt.cards, settings));
         setFeedback(null);
         setShowResults(false);
         setStrategyExplanation("");
@@ -1154,7 +1350,83 @@ export default function App() {
       }
     }
 
-    loadCards();
+    // A shared spot link opens that decision point instead of a fresh hand.
+    function openSharedSpot() {
+      const shared = readSpotLink(window.location.hash);
+      if (!shared) {
+        if (isSpotLink(window.location.hash)) {
+          setDeckNotice("This spot link is damaged or names a villain that is not saved here, so it could not be opened.");
+        }
+        return false;
+      }
+      // The sender's custom villain is saved here so the spot plays against the same range and tendencies.
+      let { spot } = shared;
+      let villainNotice = "";
+      if (shared.villain) {
+        const { name, added } = importSharedVillain(shared.villain);
+        spot = {
+          ...spot,
+          scenario: { ...spot.scenario, opponentArchetype: name },
+          handState: { ...spot.handState, opponentArchetype: name },
+        };
+        if (added) villainNotice = `The sender's villain was added to your villains as "${name}".`;
+      }
+      setPlayerHand(spot.heroCards);
+      setCommunityCards(spot.fullBoard);
+      setRoundIndex(spot.roundIndex);
+      setHandState(spot.handState);
+      setCurrentScenario(spot.scenario);
+      setSharedAnswer(shared.answer);
+      setLastDecision(null);
+      setShareLink(null);
+      setOutsResult(null);
+      setEquityEstimate("");
+      setDrill(null);
+      setFeedback(null);
+      setShowResults(false);
+      setStrategyExplanation("");
+      setMathBreakdown(null);
+      setShowMathDetails(false);
+      setAwaitingAdvance(false);
+      setShowRaiseSizer(false);
+      setHandTotals(createEmptyTotals());
+      setDeckNotice(villainNotice);
+      setError("");
+      setLoading(false);
+      return true;
+    }
+
+    if (!openSharedSpot()) {
+      loadCards();
+    }
+    listReviewItems()
+      .then((items) => setReviewDueCount(getDueItems(items).length))
+      .catch(() => setReviewDueCount(0));
+    window.addEventListener("hashchange", openSharedSpot);
+    return () => window.removeEventListener("hashchange", openSharedSpot);
+  }, []);
+
+  // Decision time (and the shot clock) counts from when the action buttons appear for each new scenario.
+  useEffect(() => {
+    if (decisionOpen) {
+      setDecisionStartedAt(Date.now());
+    }
+  }, [decisionOpen, currentScenario]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(SESSION_TOTALS_STORAGE_KEY, JSON.stringify(sessionTotals));
+    } catch {
+      // Storage can be unavailable (private mode); totals then last for this visit.
+    }
+  }, [sessionTotals]);
+
+  // Decisions IndexedDB refused (storage full, blocked in private mode, an upgrade waiting on
+  // another tab) wait in localStorage; retry them on load. The store retries again when it opens.
+  useEffect(() => {
+    syncPendingDecisions().catch((syncError) => {
+      console.warn("Could not sync saved decisions:", syncError);
+    });
   }, []);
 
 
@@ -1162,7 +1434,82 @@ export default function App() {
     <div className="app">
       <div className="app__container">
         <h1 className="app__title">Poker Table</h1>
-        <p className="app__subtitle">Deck ID: {deckId || "Loading..."}</p>
+        <p className="app__subtitle">
+          {handState?.spotName
+            ? `Spot: ${handState.spotName}`
+            : `${handState?.seed && deckId === handState.seed ? "Seed" : "Deck ID"}: ${deckId || "Loading..."}`}
+        </p>
+        <form
+          className="app__seed-row"
+          onSubmit={(event) => {
+            event.preventDefault();
+            if (seedInput.trim()) getNewHand(seedInput.trim());
+          }}
+        >
+          <label className="app__history-filter">
+            <span>Deck</span>
+            <select value={deckSource} onChange={(event) => changeDeckSource(event.target.value)}>
+              <option value="local">Local (seeded)</option>
+              <option value="api">Deck of Cards API</option>
+            </select>
+          </label>
+          <label className="app__history-filter">
+            <span>Replay a seed</span>
+            <input
+              type="text"
+              value={seedInput}
+              placeholder="e.g. k3x9a2mq"
+              onChange={(event) => setSeedInput(event.target.value)}
+            />
+          </label>
+          <button type="submit" className="app__raise-option" disabled={!seedInput.trim() || loading}>
+            Deal Seed
+          </button>
+          <label className="app__card-option">
+            <input type="checkbox" checked={cardStyle.fourColor} onChange={() => toggleCardStyle("fourColor")} />
+            Four-colour deck
+          </label>
+          <label className="app__card-option">
+            <input type="checkbox" checked={cardStyle.largeIndex} onChange={() => toggleCardStyle("largeIndex")} />
+            Large indices
+          </label>
+          <label className="app__card-option">
+            <input type="checkbox" checked={outsDrillOn} onChange={toggleOutsDrill} />
+            Outs drill
+          </label>
+          <label className="app__card-option">
+            <input type="checkbox" checked={estimateOn} onChange={toggleEstimateMode} />
+            Estimate equity
+          </label>
+          <label className="app__card-option">
+            <input
+              type="checkbox"
+              checked={speedMode.enabled}
+              onChange={() => changeSpeedMode({ enabled: !speedMode.enabled })}
+            />
+            Speed mode
+          </label>
+          <label className="app__history-filter">
+            <span>Shot clock</span>
+            <select
+              value={speedMode.seconds}
+              disabled={!speedMode.enabled}
+              onChange={(event) => changeSpeedMode({ seconds: Number(event.target.value) })}
+            >
+              {SHOT_CLOCK_SECONDS.map((seconds) => (
+                <option key={seconds} value={seconds}>
+                  {seconds}s
+                </option>
+              ))}
+            </select>
+          </label>
+          <button type="button" className="app__raise-option" onClick={() => setShowDifficulty(true)}>
+            Difficulty: {describeDifficulty(difficulty)}
+          </button>
+        </form>
+        {sessionTotals.decisions > 0 && (
+          <p className="app__session-totals">Session: {describeTotals(sessionTotals)}</p>
+        )}
         <div className="app__help-row">
           <button
             type="button"
@@ -1171,22 +1518,84 @@ export default function App() {
           >
             Poker Glossary & Math Help
           </button>
+          <button
+            type="button"
+            className="app__help-button"
+            onClick={openHistory}
+          >
+            History
+          </button>
+          <button
+            type="button"
+            className="app__help-button"
+            onClick={openLeakReport}
+          >
+            Leak Finder
+          </button>
+          <button
+            type="button"
+            className="app__help-button"
+            onClick={startReview}
+            disabled={reviewDueCount === 0}
+          >
+            Review ({reviewDueCount} due)
+          </button>
+          <button
+            type="button"
+            className="app__help-button"
+            onClick={() => setShowSpotBuilder(true)}
+          >
+            Spot Builder
+          </button>
+          <button
+            type="button"
+            className="app__help-button"
+            onClick={() => setShowQuiz(true)}
+          >
+            Pot Odds Quiz
+          </button>
+          <button
+            type="button"
+            className="app__help-button"
+            onClick={openCalibration}
+          >
+            Equity Calibration
+          </button>
+          <button
+            type="button"
+            className="app__help-button"
+            onClick={openSpeedReport}
+          >
+            Speed Report
+          </button>
+          <button
+            type="button"
+            className="app__help-button"
+            onClick={() => setShowVillainEditor(true)}
+          >
+            Villain Editor
+          </button>
         </div>
 
+        {drill && (
+          <p className="app__drill-banner">
+            {drill.kind === "review" ? "Review" : "Drill"}: {drill.label} – spot {drill.index + 1} of{" "}
+            {drill.spots.length}{" "}
+            <button type="button" className="app__raise-cancel" onClick={() => setDrill(null)}>
+              {drill.kind === "review" ? "End review" : "End drill"}
+            </button>
+          </p>
+        )}
         {loading && <p className="app__status">Loading cards...</p>}
         {error && <p className="app__status app__status--error">{error}</p>}
+        {deckNotice && <p className="app__status">{deckNotice}</p>}
         {!loading && !error && (
           <>
             <section className="app__section">
               <h2 className="app__section-title">Your Hand</h2>
               <div className="app__card-row">
                 {playerHand.map((card) => (
-                  <img
-                    key={card.code}
-                    src={card.image}
-                    alt={`${card.value} of ${card.suit}`}
-                    className="app__card-image"
-                  />
+                  <PlayingCard key={card.code} code={card.code} {...cardStyle} />
                 ))}
               </div>
             </section>
@@ -1196,19 +1605,9 @@ export default function App() {
               <div className="app__card-row">
                 {boardDisplaySlots.map((card, index) =>
                   card && index < visibleCount ? (
-                    <img
-                      key={card.code}
-                      src={card.image}
-                      alt={`${card.value} of ${card.suit}`}
-                      className="app__card-image"
-                    />
+                    <PlayingCard key={card.code} code={card.code} {...cardStyle} />
                   ) : (
-                    <img
-                      key={`placeholder-${index}`}
-                      src={CARD_BACK_IMAGE}
-                      alt="Card back"
-                      className="app__card-image app__card-image--back"
-                    />
+                    <PlayingCard key={`placeholder-${index}`} faceDown />
                   )
                 )}
               </div>
@@ -1220,6 +1619,11 @@ export default function App() {
                 <h2 className="app__hand-summary">
                   You have: {currentHand.handName}
                 </h2>
+                {currentHand.description && (
+                  <p className="app__hand-detail">
+                    {currentHand.description} • Strength score {currentHand.strength}
+                  </p>
+                )}
                 {currentHand.drawName && (
                   <p className="app__hand-draw">Draw: {currentHand.drawName}</p>
                 )}
@@ -1231,7 +1635,7 @@ export default function App() {
                         key={`best-${code}`}
                         className={`app__best-card${heroCardCodes.includes(code) ? " app__best-card--hero" : ""}`}
                       >
-                        {code}
+                        <PlayingCard code={code} size="small" {...cardStyle} />
                       </span>
                     ))}
                   </p>
@@ -1262,18 +1666,28 @@ export default function App() {
                     </p>
                     <p className="app__scenario-meta">
                       Villain archetype: {currentScenario.opponentArchetype || "Default"} • Villain position: {currentScenario.opponentPosition || "Middle Position"} • Hero position: {currentScenario.heroPosition || "Button"}
+                      {currentScenario.bigBlind ? ` • Big blind: $${formatDollars(currentScenario.bigBlind)}` : ""}
                     </p>
+                    {handState?.history.length > 0 && (
+                      <p className="app__scenario-item">
+                        <span className="app__scenario-label">Your line:</span>{" "}
+                        {describeHandHistory(handState.history)}
+                      </p>
+                    )}
+                    {handState?.result && (
+                      <p className="app__scenario-item">
+                        <span className="app__scenario-label">Hand result:</span>{" "}
+                        {HAND_RESULT_TEXT[handState.result]} Final pot ${formatDollars(handState.potSize)}.
+                      </p>
+                    )}
                   </div>
                 )}
 
-                {feedback && !strategyExplanation && (
-                  <div
-                    className={`app__feedback ${
-                      feedback.type === "correct" ? "bg-green-500" : "bg-red-500"
-                    }`}
-                  >
-                    {feedback.message}
-                  </div>
+                {feedback && renderFeedback(feedback)}
+                {feedback && sharedAnswer && <p className="app__shared-answer">{describeSharedAnswer(sharedAnswer)}</p>}
+
+                {handTotals.decisions > 0 && (
+                  <p className="app__hand-totals">This hand: {describeTotals(handTotals)}</p>
                 )}
 
                 {strategyExplanation && renderStrategyExplanation(strategyExplanation)}
@@ -1291,91 +1705,24 @@ export default function App() {
                 )}
 
                 {showMathDetails && mathBreakdown && (
-                  <div className="app__math-details">
-                    <p className="app__math-note">
-                      Formula recap: EV = (win% × amount won) − (lose% × amount lost). Required equity is call price ÷ total pot after you call. Quick equity tip: count your “outs” and multiply by 4 on the flop (or 2 on the turn) to estimate your chance of hitting by the river.
-                    </p>
-                    <div className="app__math-grid">
-                      <div>
-                        <span className="app__math-label">Required Equity</span>
-                        <span>{formatPercent(mathBreakdown.requiredEquity)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Pot Odds</span>
-                        <span>{formatPercent(mathBreakdown.potOdds)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Hero Equity</span>
-                        <span>{formatPercent(mathBreakdown.heroEquity)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Fold Equity</span>
-                        <span>{formatPercent(mathBreakdown.foldEquity)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Rule-of-4 Estimate</span>
-                        <span>{formatPercent(mathBreakdown.ruleOf4Equity)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Outs Count</span>
-                        <span>{mathBreakdown.outs}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Pot Size</span>
-                        <span>${formatDollars(mathBreakdown.potSize)}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Facing Bet</span>
-                        <span>${formatDollars(mathBreakdown.opponentBet)}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Amount to Call</span>
-                        <span>${formatDollars(mathBreakdown.amountToCall)}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Total Pot if Call</span>
-                        <span>${formatDollars(mathBreakdown.totalPotIfCall)}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Implied Odds Needed</span>
-                        <span>${formatDollars(mathBreakdown.impliedOdds)}</span>
-                      </div>
-                    </div>
-                    <div className="app__math-evlist">
-                      <h4>EV by Action</h4>
-                      <ul>
-                        <li>
-                          <strong>{mathBreakdown.optimalAction}</strong>: {mathBreakdown.optimalEV >= 0 ? "+" : "-"}${formatDollars(Math.abs(mathBreakdown.optimalEV))}
-                        </li>
-                        {(mathBreakdown.alternatives ?? []).map((alt) => (
-                          <li key={`alt-${alt.action}`}>
-                            {alt.action}: {alt.ev >= 0 ? "+" : "-"}${formatDollars(Math.abs(alt.ev))}
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                    <div className="app__ev-breakdown">
-                      <h4 className="app__ev-breakdown-title">Formula Breakdown</h4>
-                      <div className="app__ev-breakdown-body">
-                        {renderEvDetails(mathBreakdown.evDetails, "results")}
-                      </div>
-                    </div>
-                    <div className="app__outs-wrapper">
-                      <h4 className="app__outs-title">Out Cards</h4>
-                      <div className="app__outs-section">
-                        {renderOutsDetail(mathBreakdown.outsDetail, "results")}
-                      </div>
-                    </div>
-                  </div>
+                  <MathDetails breakdown={mathBreakdown} cardStyle={cardStyle} keyPrefix="results" />
                 )}
 
+                {renderShareRow()}
+
                 <button
                   type="button"
                   className="app__next-button"
-                  onClick={getNewHand}
+                  onClick={drill ? nextDrillSpot : () => getNewHand()}
                   disabled={loading}
                 >
-                  {loading ? "Loading..." : "Next Hand"}
+                  {loading
+                    ? "Loading..."
+                    : drill && drill.index + 1 < drill.spots.length
+                      ? `Next ${drill.kind === "review" ? "Review" : "Drill"} Spot (${drill.index + 2} of ${drill.spots.length})`
+                      : drill
+                        ? `Finish ${drill.kind === "review" ? "Review" : "Drill"}`
+                        : "Next Hand"}
                 </button>
               </div>
             ) : (
@@ -1405,7 +1752,11 @@ export default function App() {
                     </p>
                     <p className="app__scenario-meta">
                       Villain archetype: {currentScenario.opponentArchetype || "Default"} • Villain position: {currentScenario.opponentPosition || "Middle Position"} • Hero position: {currentScenario.heroPosition || "Button"}
+                      {currentScenario.bigBlind ? ` • Big blind: $${formatDollars(currentScenario.bigBlind)}` : ""}
                     </p>
+                    {handState?.history.length > 0 && (
+                      <p className="app__scenario-meta">Hand so far: {describeHandHistory(handState.history)}</p>
+                    )}
                   </div>
                 )}
 
@@ -1424,23 +1775,52 @@ export default function App() {
                         key={`best-live-${code}`}
                         className={`app__best-card${heroCardCodes.includes(code) ? " app__best-card--hero" : ""}`}
                       >
-                        {code}
+                        <PlayingCard code={code} size="small" {...cardStyle} />
                       </span>
                     ))}
                   </p>
                 )}
 
-                {!showResults && feedback && !strategyExplanation && (
-                  <div
-                    className={`app__feedback ${
-                      feedback.type === "correct" ? "bg-green-500" : "bg-red-500"
-                    }`}
-                  >
-                    {feedback.message}
-                  </div>
+                {!showResults && feedback && renderFeedback(feedback)}
+                {!showResults && feedback && sharedAnswer && (
+                  <p className="app__shared-answer">{describeSharedAnswer(sharedAnswer)}</p>
+                )}
+
+                {currentScenario && !showResults && showOutsDrill && (
+                  <OutsDrill
+                    key={`${heroCardCodes.join("")}|${visibleBoardCodes.join("")}`}
+                    heroCodes={heroCardCodes}
+                    boardCodes={visibleBoardCodes}
+                    result={outsResult}
+                    totals={outsTotals}
+                    onSubmit={submitOuts}
+                    cardStyle={cardStyle}
+                  />
+                )}
+
+                {speedMode.enabled && decisionOpen && decisionStartedAt > 0 && (
+                  <ShotClock
+                    seconds={speedMode.seconds}
+                    startedAt={decisionStartedAt}
+                    onExpire={() => handleDecision("Fold", undefined, { timedOut: true })}
+                  />
                 )}
 
-                {currentScenario && !showResults && (
+                {currentScenario && !showResults && estimateOn && !feedback && (!showOutsDrill || outsResult) && (
+                  <label className="app__history-filter app__estimate-row">
+                    <span>Your equity estimate (%) – required before you act</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={equityEstimate}
+                      placeholder="e.g. 35"
+                      onChange={(event) => setEquityEstimate(event.target.value)}
+                    />
+                  </label>
+                )}
+
+                {currentScenario && !showResults && (!showOutsDrill || outsResult) && (
                   <div className="app__decision-row">
                     {awaitingAdvance ? (
                       <button
@@ -1450,12 +1830,19 @@ export default function App() {
                       >
                         Continue to {nextStreetLabel}
                       </button>
+                    ) : showRaiseSizer ? (
+                      <RaiseSizer
+                        options={raiseOptions}
+                        onConfirm={(amount) => handleDecision("Raise", amount)}
+                        onCancel={() => setShowRaiseSizer(false)}
+                      />
                     ) : (
                       <>
                         <button
                           type="button"
                           className="app__decision-button app__decision-button--fold"
                           onClick={() => handleDecision("Fold")}
+                          disabled={estimateMissing}
                         >
                           Fold
                         </button>
@@ -1465,21 +1852,25 @@ export default function App() {
                           onClick={() => handleDecision(
                             Number(currentScenario?.amountToCall ?? 0) > 0 ? "Call" : "Check"
                           )}
+                          disabled={estimateMissing}
                         >
                           {Number(currentScenario?.amountToCall ?? 0) > 0 ? "Call" : "Check"}
                         </button>
                         <button
                           type="button"
                           className="app__decision-button app__decision-button--raise"
-                          onClick={() => handleDecision("Raise")}
+                          onClick={() => setShowRaiseSizer(true)}
+                          disabled={raiseOptions.length === 0 || estimateMissing}
                         >
-                          Raise
+                          Raise…
                         </button>
                       </>
                     )}
                   </div>
                 )}
 
+                {currentScenario && !showResults && renderShareRow()}
+
                 {!showResults && strategyExplanation && renderStrategyExplanation(strategyExplanation)}
 
                 {!showResults && mathBreakdown && (
@@ -1495,82 +1886,7 @@ export default function App() {
                 )}
 
                 {!showResults && showMathDetails && mathBreakdown && (
-                  <div className="app__math-details">
-                    <p className="app__math-note">
-                      Formula recap: EV = (win% × amount won) − (lose% × amount lost). Required equity is call price ÷ total pot after you call. Quick equity tip: count your “outs” and multiply by 4 on the flop (or 2 on the turn) to estimate your chance of hitting by the river.
-                    </p>
-                    <div className="app__math-grid">
-                      <div>
-                        <span className="app__math-label">Required Equity</span>
-                        <span>{formatPercent(mathBreakdown.requiredEquity)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Pot Odds</span>
-                        <span>{formatPercent(mathBreakdown.potOdds)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Hero Equity</span>
-                        <span>{formatPercent(mathBreakdown.heroEquity)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Fold Equity</span>
-                        <span>{formatPercent(mathBreakdown.foldEquity)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Rule-of-4 Estimate</span>
-                        <span>{formatPercent(mathBreakdown.ruleOf4Equity)}%</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Outs Count</span>
-                        <span>{mathBreakdown.outs}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Pot Size</span>
-                        <span>${formatDollars(mathBreakdown.potSize)}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Facing Bet</span>
-                        <span>${formatDollars(mathBreakdown.opponentBet)}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Amount to Call</span>
-                        <span>${formatDollars(mathBreakdown.amountToCall)}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Total Pot if Call</span>
-                        <span>${formatDollars(mathBreakdown.totalPotIfCall)}</span>
-                      </div>
-                      <div>
-                        <span className="app__math-label">Implied Odds Needed</span>
-                        <span>${formatDollars(mathBreakdown.impliedOdds)}</span>
-                      </div>
-                    </div>
-                    <div className="app__math-evlist">
-                      <h4>EV by Action</h4>
-                      <ul>
-                        <li>
-                          <strong>{mathBreakdown.optimalAction}</strong>: {mathBreakdown.optimalEV >= 0 ? "+" : "-"}${formatDollars(Math.abs(mathBreakdown.optimalEV))}
-                        </li>
-                        {(mathBreakdown.alternatives ?? []).map((alt) => (
-                          <li key={`live-alt-${alt.action}`}>
-                            {alt.action}: {alt.ev >= 0 ? "+" : "-"}${formatDollars(Math.abs(alt.ev))}
-                          </li>
-                        ))}
-                      </ul>
-                    </div>
-                    <div className="app__ev-breakdown">
-                      <h4 className="app__ev-breakdown-title">Formula Breakdown</h4>
-                      <div className="app__ev-breakdown-body">
-                        {renderEvDetails(mathBreakdown.evDetails, "live")}
-                      </div>
-                    </div>
-                    <div className="app__outs-wrapper">
-                      <h4 className="app__outs-title">Out Cards</h4>
-                      <div className="app__outs-section">
-                        {renderOutsDetail(mathBreakdown.outsDetail, "live")}
-                      </div>
-                    </div>
-                  </div>
+                  <MathDetails breakdown={mathBreakdown} cardStyle={cardStyle} keyPrefix="live" />
                 )}
 
               </>
@@ -1578,6 +1894,60 @@ export default function App() {
           </>
         )}
       </div>
+      {showHistory && (
+        <HistoryView
+          records={historyRecords}
+          loading={historyLoading}
+          onReopen={reopenSpot}
+          onClear={handleClearHistory}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+      {showLeakReport && (
+        <LeakReport
+          records={historyRecords}
+          loading={historyLoading}
+          onDrill={startDrill}
+          onClose={() => setShowLeakReport(false)}
+        />
+      )}
+      {showSpotBuilder && (
+        <SpotBuilder
+          cardStyle={cardStyle}
+          onPlay={playBuiltSpot}
+          onPlayLibrary={playSpotLibrary}
+          onClose={() => setShowSpotBuilder(false)}
+        />
+      )}
+      {showQuiz && <PotOddsQuiz onClose={() => setShowQuiz(false)} />}
+      {showVillainEditor && (
+        <VillainEditor
+          onRename={renameVillain}
+          onDelete={unseatDeletedVillain}
+          onClose={() => setShowVillainEditor(false)}
+        />
+      )}
+      {showDifficulty && (
+        <DifficultySettings
+          difficulty={difficulty}
+          onSave={saveDifficulty}
+          onClose={() => setShowDifficulty(false)}
+        />
+      )}
+      {showSpeedReport && (
+        <SpeedReport
+          records={historyRecords}
+          loading={historyLoading}
+          onClose={() => setShowSpeedReport(false)}
+        />
+      )}
+      {showCalibration && (
+        <EquityCalibration
+          records={historyRecords}
+          loading={historyLoading}
+          onClose={() => setShowCalibration(false)}
+        />
+      )}
       {showGlossary && (
         <div
           className="app__modal"
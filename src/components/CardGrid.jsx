@@ -0,0 +1,39 @@
+const GRID_RANKS = ["A", "K", "Q", "J", "0", "9", "8", "7", "6", "5", "4", "3", "2"];
+const GRID_SUITS = [
+  { code: "S", symbol: "♠" },
+  { code: "H", symbol: "♥" },
+  { code: "D", symbol: "♦" },
+  { code: "C", symbol: "♣" },
+];
+
+/**
+ * All 52 cards as a suit-by-rank grid of toggle buttons. `marks` maps a card code
+ * to a modifier ("hero", "board", …) that styles the button; `onToggle` gets the code.
+ */
+export default function CardGrid({ marks = {}, onToggle, fourColor = false, disabled = false }) {
+  return (
+    <div className={`app__card-grid${fourColor ? " app__card-grid--four-color" : ""}`}>
+      {GRID_SUITS.map((suit) => (
+        <div className="app__card-grid-row" key={suit.code}>
+          {GRID_RANKS.map((rank) => {
+            const code = `${rank}${suit.code}`;
+            const mark = marks[code];
+            return (
+              <button
+                type="button"
+                key={code}
+                className={`app__grid-card app__grid-card--${suit.code}${mark ? ` app__grid-card--${mark}` : ""}`}
+                onClick={() => onToggle(code)}
+                disabled={disabled}
+                aria-pressed={Boolean(mark)}
+              >
+                {rank === "0" ? "10" : rank}
+                {suit.symbol}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState } from "react";
+import {
+  DIFFICULTY_PROFILES,
+  EV_MARGINS,
+  normalizeDifficultySettings,
+  resolveDifficulty,
+} from "../utils/difficulty";
+import { ROUND_STATES } from "../utils/handState";
+import { getVillainNames } from "../utils/villainProfiles";
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function describeSettings(settings) {
+  const streets =
+    settings.firstStreet === settings.lastStreet
+      ? `${settings.firstStreet} only`
+      : `${settings.firstStreet} to ${settings.lastStreet}`;
+  const margin = EV_MARGINS.find((entry) => entry.key === settings.evMargin);
+  return [
+    capitalize(streets),
+    settings.hints ? "hints on" : "no hints",
+    margin ? margin.label.toLowerCase() : "any spot",
+    `villains: ${settings.archetypes ? settings.archetypes.join(", ") : "any"}`,
+    settings.multiway ? "multi-way pots" : "heads-up only",
+  ].join(" • ");
+}
+
+/**
+ * Difficulty settings: pick Beginner, Intermediate or Advanced, or build a
+ * custom profile. Changes apply from the next hand dealt.
+ */
+export default function DifficultySettings({ difficulty, onSave, onClose }) {
+  const [profile, setProfile] = useState(difficulty.profile);
+  const [custom, setCustom] = useState(() => normalizeDifficultySettings(difficulty.custom));
+  const [villainNames] = useState(getVillainNames);
+
+  function updateCustom(key, value) {
+    setCustom((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function toggleArchetype(name) {
+    const current = custom.archetypes || villainNames;
+    const archetypes = current.includes(name) ? current.filter((entry) => entry !== name) : [...current, name];
+    updateCustom("archetypes", archetypes);
+  }
+
+  function save() {
+    onSave({ profile, custom: normalizeDifficultySettings(custom) });
+  }
+
+  const options = [...DIFFICULTY_PROFILES, { key: "custom", label: "Custom" }];
+  const invalidCustom =
+    custom.archetypes?.length === 0 || ROUND_STATES.indexOf(custom.lastStreet) < ROUND_STATES.indexOf(custom.firstStreet);
+
+  return (
+    <div
+      className="app__modal"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Difficulty"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="app__modal-content">
+        <div className="app__modal-header">
+          <h2 className="app__modal-title">Difficulty</h2>
+          <button type="button" className="app__modal-close" onClick={onClose} aria-label="Close difficulty settings">
+            ×
+          </button>
+        </div>
+        <div className="app__modal-body">
+          <div className="app__history-filters">
+            {options.map(({ key, label }) => (
+              <button
+                type="button"
+                key={key}
+                className={`app__raise-option${profile === key ? " app__raise-option--active" : ""}`}
+                onClick={() => setProfile(key)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="app__history-empty">
+            {describeSettings(profile === "custom" ? custom : resolveDifficulty({ profile }))}
+          </p>
+
+          {profile === "custom" && (
+            <div className="app__history-filters">
+              <label className="app__history-filter">
+                <span>First street</span>
+                <select value={custom.firstStreet} onChange={(event) => updateCustom("firstStreet", event.target.value)}>
+                  {ROUND_STATES.map((street) => (
+                    <option key={street} value={street}>
+                      {capitalize(street)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="app__history-filter">
+                <span>Last street</span>
+                <select value={custom.lastStreet} onChange={(event) => updateCustom("lastStreet", event.target.value)}>
+                  {ROUND_STATES.map((street) => (
+                    <option key={street} value={street}>
+                      {capitalize(street)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="app__history-filter">
+                <span>EV margin</span>
+                <select value={custom.evMargin} onChange={(event) => updateCustom("evMargin", event.target.value)}>
+                  {EV_MARGINS.map((margin) => (
+                    <option key={margin.key} value={margin.key}>
+                      {margin.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="app__card-option">
+                <input type="checkbox" checked={custom.hints} onChange={() => updateCustom("hints", !custom.hints)} />
+                Show hints
+              </label>
+              <label className="app__card-option">
+                <input
+                  type="checkbox"
+                  checked={custom.multiway}
+                  onChange={() => updateCustom("multiway", !custom.multiway)}
+                />
+                Multi-way pots
+              </label>
+              {villainNames.map((name) => (
+                <label className="app__card-option" key={name}>
+                  <input
+                    type="checkbox"
+                    checked={!custom.archetypes || custom.archetypes.includes(name)}
+                    onChange={() => toggleArchetype(name)}
+                  />
+                  {name}
+                </label>
+              ))}
+            </div>
+          )}
+          {profile === "custom" && invalidCustom && (
+            <ul className="app__builder-errors">
+              <li>Pick at least one villain archetype, and a last street no earlier than the first.</li>
+            </ul>
+          )}
+
+          <div className="app__history-filters">
+            <button
+              type="button"
+              className="app__raise-option app__raise-option--active"
+              onClick={save}
+              disabled={profile === "custom" && invalidCustom}
+            >
+              Save – applies from the next hand
+            </button>
+            <button type="button" className="app__raise-cancel" onClick={onClose}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
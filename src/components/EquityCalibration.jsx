@@ -0,0 +1,112 @@
+import { useMemo, useState } from "react";
+import { buildCalibrationReport, describeBias } from "../utils/equityCalibration";
+
+const GROUPINGS = [
+  { key: "byHandAndStreet", label: "By hand & street" },
+  { key: "byHand", label: "By hand" },
+  { key: "byStreet", label: "By street" },
+];
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function renderBars(group) {
+  return (
+    <div className="app__calibration-bars" aria-hidden="true">
+      <span className="app__calibration-bar app__calibration-bar--estimate" style={{ width: `${group.averageEstimate}%` }} />
+      <span className="app__calibration-bar app__calibration-bar--actual" style={{ width: `${group.averageActual}%` }} />
+    </div>
+  );
+}
+
+/**
+ * Calibration chart: the player's equity estimates against the engine's equity,
+ * grouped by hand class and street, plus a curve of what each estimate band was really worth.
+ */
+export default function EquityCalibration({ records = [], loading = false, onClose }) {
+  const [grouping, setGrouping] = useState("byHandAndStreet");
+  const report = useMemo(() => buildCalibrationReport(records), [records]);
+
+  return (
+    <div
+      className="app__modal"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Equity calibration"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="app__modal-content">
+        <div className="app__modal-header">
+          <h2 className="app__modal-title">Equity Calibration</h2>
+          <button type="button" className="app__modal-close" onClick={onClose} aria-label="Close equity calibration">
+            ×
+          </button>
+        </div>
+        <div className="app__modal-body">
+          {loading && <p className="app__history-empty">Loading history...</p>}
+          {!loading && report.estimates === 0 && (
+            <p className="app__history-empty">
+              Turn on "Estimate equity" and guess your equity before each decision – the chart compares those guesses
+              with the engine.
+            </p>
+          )}
+          {report.estimates > 0 && (
+            <>
+              <p className="app__calibration-legend">
+                <span className="app__calibration-key app__calibration-key--estimate" /> Your estimate{" "}
+                <span className="app__calibration-key app__calibration-key--actual" /> Engine equity • {report.estimates}{" "}
+                estimates
+              </p>
+              <div className="app__history-filters">
+                {GROUPINGS.map(({ key, label }) => (
+                  <button
+                    type="button"
+                    key={key}
+                    className={`app__raise-option${grouping === key ? " app__raise-option--active" : ""}`}
+                    onClick={() => setGrouping(key)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <ul className="app__history-list">
+                {report[grouping].map((group) => (
+                  <li key={group.label} className="app__history-item app__calibration-item">
+                    <div className="app__history-item-main">
+                      <span className="app__history-item-cards">{capitalize(group.label)}</span>
+                      <span>
+                        You said {group.averageEstimate.toFixed(1)}%, the engine found {group.averageActual.toFixed(1)}% –{" "}
+                        {describeBias(group.bias)}
+                      </span>
+                      <span className="app__history-item-meta">
+                        {group.count} spot{group.count === 1 ? "" : "s"} • average miss {group.meanAbsError.toFixed(1)} points
+                      </span>
+                    </div>
+                    {renderBars(group)}
+                  </li>
+                ))}
+              </ul>
+
+              <section className="app__history-weeks app__calibration-curve">
+                <h3>Calibration curve</h3>
+                <ul>
+                  {report.curve.map((bucket) => (
+                    <li key={bucket.from}>
+                      When you said {bucket.from}–{bucket.to}%: the engine averaged {bucket.averageActual.toFixed(1)}% (
+                      {bucket.count} spot{bucket.count === 1 ? "" : "s"})
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import { useMemo, useState } from "react";
+import { filterDecisions, summarizeByWeek } from "../utils/historyStore";
+
+const STREET_FILTERS = ["all", "preflop", "flop", "turn", "river"];
+const BAND_FILTERS = ["all", "best", "fine", "inaccuracy", "blunder"];
+const ACTION_FILTERS = ["all", "Fold", "Check", "Call", "Raise"];
+
+function formatAmount(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0.00";
+  return num.toFixed(2);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function cardCodes(cards = []) {
+  return cards.map((card) => card?.code).filter(Boolean).join(" ");
+}
+
+/**
+ * Browses saved decisions: week-by-week progress, filters by street, grade and
+ * action, and a button to replay any spot from the table.
+ */
+export default function HistoryView({ records = [], loading = false, onReopen, onClear, onClose }) {
+  const [filters, setFilters] = useState({ street: "all", band: "all", action: "all" });
+  const visibleRecords = useMemo(() => filterDecisions(records, filters), [records, filters]);
+  const weeks = useMemo(() => summarizeByWeek(records), [records]);
+
+  const renderFilter = (key, label, values) => (
+    <label className="app__history-filter">
+      <span>{label}</span>
+      <select
+        value={filters[key]}
+        onChange={(event) => setFilters((prev) => ({ ...prev, [key]: event.target.value }))}
+      >
+        {values.map((value) => (
+          <option key={value} value={value}>
+            {capitalize(value)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div
+      className="app__modal"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Decision history"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="app__modal-content">
+        <div className="app__modal-header">
+          <h2 className="app__modal-title">History</h2>
+          <button type="button" className="app__modal-close" onClick={onClose} aria-label="Close history">
+            ×
+          </button>
+        </div>
+        <div className="app__modal-body">
+          {loading && <p className="app__history-empty">Loading history...</p>}
+          {!loading && records.length === 0 && (
+            <p className="app__history-empty">No decisions saved yet. Play a few hands and they will show up here.</p>
+          )}
+
+          {weeks.length > 0 && (
+            <section className="app__history-weeks">
+              <h3>Week by week</h3>
+              <ul>
+                {weeks.map((week) => (
+                  <li key={week.weekStart}>
+                    Week of {new Date(week.weekStart).toLocaleDateString()}: {week.decisions} decisions • $
+                    {formatAmount(week.evLoss)} given up • {week.averageLossBB.toFixed(2)} bb per decision •{" "}
+                    {week.blunders} blunders
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {records.length > 0 && (
+            <>
+              <div className="app__history-filters">
+                {renderFilter("street", "Street", STREET_FILTERS)}
+                {renderFilter("band", "Grade", BAND_FILTERS)}
+                {renderFilter("action", "Your action", ACTION_FILTERS)}
+                <button type="button" className="app__raise-cancel" onClick={onClear}>
+                  Clear history
+                </button>
+              </div>
+              <ul className="app__history-list">
+                {visibleRecords.map((record) => (
+                  <li key={record.id} className={`app__history-item app__history-item--${record.band}`}>
+                    <div className="app__history-item-main">
+                      <span className="app__history-item-cards">
+                        {cardCodes(record.heroCards)} | {cardCodes(record.boardCards) || "no board"}
+                      </span>
+                      <span>
+                        {capitalize(record.street || "")}: you {record.userAction}, best {record.optimalAction || "n/a"} • $
+                        {formatAmount(record.evLoss)} ({Number(record.evLossBB || 0).toFixed(2)} bb) given up
+                      </span>
+                      <span className="app__history-item-meta">
+                        {new Date(record.timestamp).toLocaleString()} • {record.scenario?.opponentAction}
+                      </span>
+                    </div>
+                    <button type="button" className="app__raise-option" onClick={() => onReopen(record)}>
+                      Reopen
+                    </button>
+                  </li>
+                ))}
+                {visibleRecords.length === 0 && <li className="app__history-empty">No decisions match these filters.</li>}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
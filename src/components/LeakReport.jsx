@@ -0,0 +1,85 @@
+import { useMemo, useState } from "react";
+import { buildLeakReport } from "../utils/leakFinder";
+
+function formatAmount(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0.00";
+  return num.toFixed(2);
+}
+
+/**
+ * Shows where EV is leaking, grouped by spot type (hand class against the bet
+ * faced, or against the villain archetype, on each street), with a drill button
+ * per spot type.
+ */
+export default function LeakReport({ records = [], loading = false, onDrill, onClose }) {
+  const [grouping, setGrouping] = useState("byPressure");
+  const report = useMemo(() => buildLeakReport(records), [records]);
+  const categories = report[grouping];
+
+  return (
+    <div
+      className="app__modal"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Leak finder"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="app__modal-content">
+        <div className="app__modal-header">
+          <h2 className="app__modal-title">Leak Finder</h2>
+          <button type="button" className="app__modal-close" onClick={onClose} aria-label="Close leak finder">
+            ×
+          </button>
+        </div>
+        <div className="app__modal-body">
+          {loading && <p className="app__history-empty">Loading history...</p>}
+          {!loading && records.length === 0 && (
+            <p className="app__history-empty">Play a few hands first – the report is built from your saved decisions.</p>
+          )}
+          {records.length > 0 && (
+            <>
+              <div className="app__history-filters">
+                <button
+                  type="button"
+                  className={`app__raise-option${grouping === "byPressure" ? " app__raise-option--active" : ""}`}
+                  onClick={() => setGrouping("byPressure")}
+                >
+                  By bet faced
+                </button>
+                <button
+                  type="button"
+                  className={`app__raise-option${grouping === "byArchetype" ? " app__raise-option--active" : ""}`}
+                  onClick={() => setGrouping("byArchetype")}
+                >
+                  By opponent
+                </button>
+              </div>
+              <ul className="app__history-list">
+                {categories.map((category) => (
+                  <li key={category.label} className="app__history-item app__leak-item">
+                    <div className="app__history-item-main">
+                      <span className="app__history-item-cards">{category.label}</span>
+                      <span>
+                        {category.decisions} decisions • {category.accuracy.toFixed(0)}% accurate • $
+                        {formatAmount(category.evLoss)} ({category.evLossBB.toFixed(2)} bb) lost
+                      </span>
+                      <span className="app__history-item-meta">{category.tip}</span>
+                    </div>
+                    <button type="button" className="app__raise-option" onClick={() => onDrill(category)}>
+                      Drill
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,304 @@
+import { describeBias } from "../utils/equityCalibration";
+import PlayingCard from "./PlayingCard";
+
+function formatAmount(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0.00";
+  return num.toFixed(2);
+}
+
+function formatPercent(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0.00";
+  return num.toFixed(2);
+}
+
+function renderOutsDetail(detail, keyPrefix, cardStyle) {
+  if (
+    !detail ||
+    typeof detail !== "object" ||
+    !Array.isArray(detail.cards) ||
+    detail.cards.length === 0 ||
+    detail.total <= 0
+  ) {
+    return (
+      <p className="app__outs-empty" key={`${keyPrefix}-outs-empty`}>
+        No clear outs identified beyond overcards.
+      </p>
+    );
+  }
+
+  const categories = [
+    { key: "flush", label: "Flush outs" },
+    { key: "straight", label: "Straight outs" },
+    { key: "rank", label: "Pair / Set outs" },
+  ];
+
+  return categories
+    .map(({ key, label }) => {
+      const cards = detail.categories?.[key] || [];
+      if (!cards.length) return null;
+      return (
+        <div className="app__outs-category" key={`${keyPrefix}-${key}`}>
+          <span className="app__outs-category-label">{label}</span>
+          <div className="app__outs-chips">
+            {cards.map((code) => (
+              <span className="app__out-chip" key={`${keyPrefix}-${key}-${code}`}>
+                <PlayingCard code={code} size="small" {...cardStyle} />
+              </span>
+            ))}
+          </div>
+        </div>
+      );
+    })
+    .concat([
+      <div className="app__outs-category app__outs-category--all" key={`${keyPrefix}-all`}>
+        <span className="app__outs-category-label">All outs ({detail.total})</span>
+        <div className="app__outs-chips">
+          {detail.cards.map((code) => (
+            <span className="app__out-chip app__out-chip--all" key={`${keyPrefix}-all-${code}`}>
+              <PlayingCard code={code} size="small" {...cardStyle} />
+            </span>
+          ))}
+        </div>
+      </div>,
+    ])
+    .filter(Boolean);
+}
+
+function renderEvDetails(details, keyPrefix) {
+  if (!Array.isArray(details) || details.length === 0) {
+    return (
+      <p className="app__ev-detail-empty" key={`${keyPrefix}-ev-empty`}>
+        EV breakdown unavailable for this scenario.
+      </p>
+    );
+  }
+
+  return details.map((detail, index) => {
+    const components = Array.isArray(detail.components) ? detail.components : [];
+    return (
+      <div className="app__ev-detail" key={`${keyPrefix}-detail-${detail.action}-${index}`}>
+        <div className="app__ev-detail-header">
+          <span className="app__ev-detail-action">{detail.action}</span>
+          <span className="app__ev-detail-value">
+            {detail.ev >= 0 ? "+" : "-"}${formatAmount(Math.abs(detail.ev))}
+          </span>
+        </div>
+        <p className="app__ev-detail-explanation">{detail.explanation}</p>
+        {components.length > 0 && (
+          <ul className="app__ev-detail-list">
+            {components.map((item, compIndex) => {
+              const key = `${keyPrefix}-${detail.action}-${index}-${compIndex}`;
+              const type = item.type || "raw";
+              let displayValue = item.value;
+              if (type === "percent") {
+                displayValue = `${formatPercent(item.value)}%`;
+              } else if (type === "dollar") {
+                displayValue = `$${formatAmount(item.value)}`;
+              }
+              return (
+                <li className="app__ev-detail-item" key={key}>
+                  <span className="app__ev-detail-label">{item.label}:</span>{" "}
+                  <span className="app__ev-detail-number">{displayValue}</span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {detail.note && <p className="app__ev-detail-note">{detail.note}</p>}
+      </div>
+    );
+  });
+}
+
+function renderRaiseCurve(metrics, keyPrefix) {
+  const curve = Array.isArray(metrics?.raiseCurve) ? [...metrics.raiseCurve] : [];
+  if (metrics?.chosenRaise?.key === "custom") {
+    curve.push(metrics.chosenRaise);
+    curve.sort((a, b) => a.amount - b.amount);
+  }
+  if (curve.length === 0) return null;
+  return (
+    <div className="app__raise-curve">
+      <h4 className="app__raise-curve-title">Raise Size EV Curve</h4>
+      <ul>
+        {curve.map((option) => {
+          const isBest = metrics.bestRaise?.key === option.key && metrics.bestRaise?.amount === option.amount;
+          const isChosen = metrics.chosenRaise?.key === option.key && metrics.chosenRaise?.amount === option.amount;
+          return (
+            <li
+              key={`${keyPrefix}-raise-${option.key}-${option.amount}`}
+              className={`app__raise-curve-item${isBest ? " app__raise-curve-item--best" : ""}${
+                isChosen ? " app__raise-curve-item--chosen" : ""
+              }`}
+            >
+              <span>
+                {option.label} (${formatAmount(option.amount)})
+              </span>
+              <span>
+                {option.ev >= 0 ? "+" : "-"}${formatAmount(Math.abs(option.ev))} • folds {formatPercent(option.foldThrough * 100)}% •{" "}
+                {formatPercent(option.calledEquity)}% equity when called
+                {isBest ? " • best" : ""}
+                {isChosen ? " • your pick" : ""}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Math details for a graded or live decision: required equity and pot odds, the
+ * hero's equity and how it was found, the player's own estimate, outs, EV by
+ * action with its formula breakdown, the raise-size curve and the out cards.
+ */
+export default function MathDetails({ breakdown, cardStyle, keyPrefix }) {
+  return (
+    <div className="app__math-details">
+      <p className="app__math-note">
+        Formula recap: EV = (win% × amount won) − (lose% × amount lost). Required equity is call price ÷ total pot after you call. Hero equity is counted exactly on the turn and river and simulated on earlier streets (± shows the 95% error bar). Quick equity tip: count your “outs” and multiply by 4 on the flop (or 2 on the turn) to estimate your chance of hitting by the river.
+      </p>
+      <div className="app__math-grid">
+        <div>
+          <span className="app__math-label">Required Equity</span>
+          <span>{formatPercent(breakdown.requiredEquity)}%</span>
+        </div>
+        <div>
+          <span className="app__math-label">Pot Odds</span>
+          <span>{formatPercent(breakdown.potOdds)}%</span>
+        </div>
+        <div>
+          <span className="app__math-label">Hero Equity</span>
+          <span>
+            {formatPercent(breakdown.heroEquity)}%
+            {breakdown.equityResult?.method === "monte-carlo" &&
+              ` ± ${formatPercent(breakdown.equityResult.margin)}%`}
+          </span>
+        </div>
+        {breakdown.equityResult?.samples > 0 && (
+          <div>
+            <span className="app__math-label">Equity Method</span>
+            <span>
+              {breakdown.equityResult.method === "exact"
+                ? "Exact enumeration"
+                : "Monte Carlo"}{" "}
+              ({breakdown.equityResult.samples.toLocaleString()} runouts)
+              {breakdown.equityResult.rangeBlocked &&
+                " – your cards and the board block the whole villain range, so this is against random hands"}
+            </span>
+          </div>
+        )}
+        {breakdown.equityResult?.samples > 0 && (
+          <div>
+            <span className="app__math-label">Win / Tie / Lose</span>
+            <span>
+              {formatPercent(breakdown.equityResult.win)}% /{" "}
+              {formatPercent(breakdown.equityResult.tie)}% /{" "}
+              {formatPercent(breakdown.equityResult.lose)}%
+            </span>
+          </div>
+        )}
+        <div>
+          <span className="app__math-label">Fold Equity</span>
+          <span>{formatPercent(breakdown.foldEquity)}%</span>
+        </div>
+        {breakdown.numOpponents > 1 && (
+          <div>
+            <span className="app__math-label">
+              Fold-Through ({breakdown.numOpponents} opponents)
+            </span>
+            <span>{formatPercent(breakdown.foldThrough)}%</span>
+          </div>
+        )}
+        {breakdown.playersBehind > 0 && (
+          <div>
+            <span className="app__math-label">Required Equity w/ Overcalls</span>
+            <span>{formatPercent(breakdown.multiwayRequiredEquity)}%</span>
+          </div>
+        )}
+        {Number.isFinite(breakdown.equityEstimate) && (
+          <div>
+            <span className="app__math-label">Your Equity Estimate</span>
+            <span>
+              {formatPercent(breakdown.equityEstimate)}% (
+              {describeBias(breakdown.equityEstimate - Number(breakdown.heroEquity))})
+            </span>
+          </div>
+        )}
+        <div>
+          <span className="app__math-label">Rule-of-4 Estimate</span>
+          <span>{formatPercent(breakdown.ruleOf4Equity)}%</span>
+        </div>
+        <div>
+          <span className="app__math-label">Outs Count</span>
+          <span>{breakdown.outs}</span>
+        </div>
+        <div>
+          <span className="app__math-label">Pot Size</span>
+          <span>${formatAmount(breakdown.potSize)}</span>
+        </div>
+        <div>
+          <span className="app__math-label">Facing Bet</span>
+          <span>${formatAmount(breakdown.opponentBet)}</span>
+        </div>
+        <div>
+          <span className="app__math-label">Amount to Call</span>
+          <span>${formatAmount(breakdown.amountToCall)}</span>
+        </div>
+        <div>
+          <span className="app__math-label">Total Pot if Call</span>
+          <span>${formatAmount(breakdown.totalPotIfCall)}</span>
+        </div>
+        <div>
+          <span className="app__math-label">Implied Odds Needed</span>
+          <span>${formatAmount(breakdown.impliedOdds)}</span>
+        </div>
+        {breakdown.spr !== null && breakdown.spr !== undefined && (
+          <div>
+            <span className="app__math-label">Stack-to-Pot Ratio</span>
+            <span>
+              {breakdown.spr.toFixed(2)} (${formatAmount(breakdown.effectiveStack)} behind)
+            </span>
+          </div>
+        )}
+        {breakdown.spr !== null && breakdown.spr !== undefined && (
+          <div>
+            <span className="app__math-label">Raise Commits You?</span>
+            <span>
+              {breakdown.raiseCommits ? "Yes" : "No"} (raise to ${formatAmount(breakdown.raiseSize)})
+            </span>
+          </div>
+        )}
+      </div>
+      <div className="app__math-evlist">
+        <h4>EV by Action</h4>
+        <ul>
+          <li>
+            <strong>{breakdown.optimalAction}</strong>: {breakdown.optimalEV >= 0 ? "+" : "-"}${formatAmount(Math.abs(breakdown.optimalEV))}
+          </li>
+          {(breakdown.alternatives ?? []).map((alt) => (
+            <li key={`${keyPrefix}-alt-${alt.action}`}>
+              {alt.action}: {alt.ev >= 0 ? "+" : "-"}${formatAmount(Math.abs(alt.ev))}
+            </li>
+          ))}
+        </ul>
+      </div>
+      <div className="app__ev-breakdown">
+        <h4 className="app__ev-breakdown-title">Formula Breakdown</h4>
+        <div className="app__ev-breakdown-body">
+          {renderEvDetails(breakdown.evDetails, keyPrefix)}
+        </div>
+      </div>
+      {renderRaiseCurve(breakdown, keyPrefix)}
+      <div className="app__outs-wrapper">
+        <h4 className="app__outs-title">Out Cards</h4>
+        <div className="app__outs-section">
+          {renderOutsDetail(breakdown.outsDetail, keyPrefix, cardStyle)}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { useState } from "react";
+import { getOutsResultMarks } from "../utils/outsDrill";
+import CardGrid from "./CardGrid";
+
+const SUIT_SYMBOLS = { S: "♠", H: "♥", D: "♦", C: "♣" };
+
+function formatCode(code) {
+  const rank = code.charAt(0) === "0" ? "10" : code.charAt(0);
+  return `${rank}${SUIT_SYMBOLS[code.charAt(1)] || ""}`;
+}
+
+function formatCodes(codes) {
+  return codes.map(formatCode).join(" ");
+}
+
+/**
+ * Outs drill shown before the betting decision: the player clicks every out on
+ * the 52-card grid, then sees what they found, missed and picked wrongly per category.
+ */
+export default function OutsDrill({ heroCodes = [], boardCodes = [], result = null, totals, onSubmit, cardStyle = {} }) {
+  const [picks, setPicks] = useState([]);
+  const fixedMarks = {
+    ...Object.fromEntries(heroCodes.map((code) => [code, "hero"])),
+    ...Object.fromEntries(boardCodes.map((code) => [code, "board"])),
+  };
+  const marks = result
+    ? { ...fixedMarks, ...getOutsResultMarks(result) }
+    : { ...fixedMarks, ...Object.fromEntries(picks.map((code) => [code, "picked"])) };
+
+  const togglePick = (code) => {
+    if (result || fixedMarks[code]) return;
+    setPicks((prev) => (prev.includes(code) ? prev.filter((picked) => picked !== code) : [...prev, code]));
+  };
+
+  return (
+    <div className="app__scenario app__outs-drill">
+      <h3 className="app__scenario-title">Outs Drill</h3>
+      <p className="app__scenario-meta">
+        {result
+          ? `You found ${result.correct.length} of ${result.total} outs with ${result.wrong.length} wrong pick${
+              result.wrong.length === 1 ? "" : "s"
+            } – score ${result.score.toFixed(0)}%.`
+          : "Before you act: click every card that improves your hand, then check your count."}
+      </p>
+      <CardGrid marks={marks} onToggle={togglePick} fourColor={cardStyle.fourColor} />
+      {!result ? (
+        <button type="button" className="app__next-button" onClick={() => onSubmit(picks)}>
+          Check my outs ({picks.length} picked)
+        </button>
+      ) : (
+        <ul className="app__outs-drill-results">
+          {result.byCategory
+            .filter((category) => category.total > 0)
+            .map((category) => (
+              <li key={category.key}>
+                <strong>{category.label}:</strong> found {category.found.length} of {category.total}
+                {category.missed.length > 0 && ` – missed ${formatCodes(category.missed)}`}
+              </li>
+            ))}
+          {result.total === 0 && <li>No outs on this board – no card completes a draw or pairs a card in play.</li>}
+          {result.wrong.length > 0 && (
+            <li>
+              <strong>Not outs:</strong> {formatCodes(result.wrong)}
+            </li>
+          )}
+          {totals?.boards > 0 && (
+            <li>
+              Drill average: {(totals.scoreSum / totals.boards).toFixed(0)}% over {totals.boards} board
+              {totals.boards === 1 ? "" : "s"}
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { useId } from "react";
+
+const RANK_LABELS = { "0": "10", T: "10" };
+const RANK_NAMES = {
+  A: "Ace",
+  K: "King",
+  Q: "Queen",
+  J: "Jack",
+  "0": "Ten",
+  T: "Ten",
+};
+const SUITS = {
+  S: { symbol: "♠", name: "Spades" },
+  H: { symbol: "♥", name: "Hearts" },
+  D: { symbol: "♦", name: "Diamonds" },
+  C: { symbol: "♣", name: "Clubs" },
+};
+const TWO_COLOR = { S: "#0f172a", C: "#0f172a", H: "#dc2626", D: "#dc2626" };
+const FOUR_COLOR = { S: "#0f172a", C: "#15803d", H: "#dc2626", D: "#2563eb" };
+
+/**
+ * Draws a card face (from a code such as "AS" or "0H") or the card back as an
+ * inline SVG, so the table needs no remote images. `size` is "large" for the
+ * table and "small" for chips; `fourColor` and `largeIndex` are display options.
+ */
+export default function PlayingCard({
+  code = "",
+  faceDown = false,
+  size = "large",
+  fourColor = false,
+  largeIndex = false,
+}) {
+  const patternId = useId();
+  const className = `app__playing-card app__playing-card--${size}`;
+
+  if (faceDown || !code) {
+    return (
+      <svg className={className} viewBox="0 0 100 140" role="img" aria-label="Face-down card">
+        <defs>
+          <pattern id={patternId} width="10" height="10" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+            <rect width="10" height="10" fill="#1e3a8a" />
+            <rect width="5" height="10" fill="#1d4ed8" />
+          </pattern>
+        </defs>
+        <rect x="1" y="1" width="98" height="138" rx="8" fill="#ffffff" />
+        <rect x="6" y="6" width="88" height="128" rx="5" fill={`url(#${patternId})`} />
+      </svg>
+    );
+  }
+
+  const rankCode = code.charAt(0).toUpperCase();
+  const suitCode = code.charAt(1).toUpperCase();
+  const suit = SUITS[suitCode] || SUITS.S;
+  const rank = RANK_LABELS[rankCode] || rankCode;
+  const color = (fourColor ? FOUR_COLOR : TWO_COLOR)[suitCode] || TWO_COLOR.S;
+  const indexSize = largeIndex ? 30 : 20;
+  const indexSuitSize = largeIndex ? 24 : 17;
+
+  return (
+    <svg
+      className={className}
+      viewBox="0 0 100 140"
+      role="img"
+      aria-label={`${RANK_NAMES[rankCode] || rank} of ${suit.name}`}
+    >
+      <rect x="1" y="1" width="98" height="138" rx="8" fill="#ffffff" stroke="#cbd5e1" strokeWidth="2" />
+      <g fill={color} fontFamily="Georgia, 'Times New Roman', serif" fontWeight="700" textAnchor="middle">
+        <text x={largeIndex ? 20 : 15} y={indexSize + 4} fontSize={indexSize}>
+          {rank}
+        </text>
+        <text x={largeIndex ? 20 : 15} y={indexSize + indexSuitSize + 6} fontSize={indexSuitSize}>
+          {suit.symbol}
+        </text>
+        <text x="50" y="92" fontSize={largeIndex ? 44 : 56}>
+          {suit.symbol}
+        </text>
+        <g transform="rotate(180 50 70)">
+          <text x={largeIndex ? 20 : 15} y={indexSize + 4} fontSize={indexSize}>
+            {rank}
+          </text>
+          <text x={largeIndex ? 20 : 15} y={indexSize + indexSuitSize + 6} fontSize={indexSuitSize}>
+            {suit.symbol}
+          </text>
+        </g>
+      </g>
+    </svg>
+  );
+}
@@ -0,0 +1,164 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  createQuizQuestion,
+  gradeQuizAnswer,
+  listQuizResults,
+  QUIZ_TIME_LIMIT_MS,
+  QUIZ_TOLERANCE,
+  saveQuizResult,
+  summarizeQuizResults,
+} from "../utils/potOddsQuiz";
+
+function formatAmount(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0.00";
+  return num.toFixed(2);
+}
+
+function describeSummary({ answered, accuracy, averageSeconds }) {
+  if (answered === 0) return "no answers yet";
+  return `${accuracy.toFixed(0)}% correct • ${averageSeconds.toFixed(1)}s per answer (${answered} answered)`;
+}
+
+/**
+ * Timed mental-math quiz: each question gives a pot and a bet and asks for the
+ * required equity or the pot odds; answers are graded against
+ * call ÷ (pot + bet + call) and saved so speed and accuracy trends build up.
+ */
+export default function PotOddsQuiz({ onClose }) {
+  const [question, setQuestion] = useState(null);
+  const [answer, setAnswer] = useState("");
+  const [startedAt, setStartedAt] = useState(0);
+  const [now, setNow] = useState(0);
+  const [result, setResult] = useState(null);
+  const [results, setResults] = useState(listQuizResults);
+  const summary = useMemo(() => summarizeQuizResults(results), [results]);
+
+  // The clock ticks while a question is open and records a miss when time runs out.
+  useEffect(() => {
+    if (!question || result) return undefined;
+    const timer = window.setInterval(() => {
+      const elapsed = Date.now() - startedAt;
+      if (elapsed >= QUIZ_TIME_LIMIT_MS) {
+        const graded = gradeQuizAnswer(question, "", elapsed);
+        setResult(graded);
+        setResults(saveQuizResult(graded));
+      } else {
+        setNow(Date.now());
+      }
+    }, 200);
+    return () => window.clearInterval(timer);
+  }, [question, result, startedAt]);
+
+  const nextQuestion = () => {
+    const start = Date.now();
+    setQuestion(createQuizQuestion());
+    setAnswer("");
+    setResult(null);
+    setStartedAt(start);
+    setNow(start);
+  };
+
+  const submitAnswer = (event) => {
+    event.preventDefault();
+    if (!question || result) return;
+    const graded = gradeQuizAnswer(question, answer, Date.now() - startedAt);
+    setResult(graded);
+    setResults(saveQuizResult(graded));
+  };
+
+  const remainingMs = question && !result ? Math.max(0, QUIZ_TIME_LIMIT_MS - (now - startedAt)) : 0;
+
+  return (
+    <div
+      className="app__modal"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Pot odds quiz"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="app__modal-content">
+        <div className="app__modal-header">
+          <h2 className="app__modal-title">Pot Odds Quiz</h2>
+          <button type="button" className="app__modal-close" onClick={onClose} aria-label="Close pot odds quiz">
+            ×
+          </button>
+        </div>
+        <div className="app__modal-body">
+          {!question && (
+            <p className="app__history-empty">
+              Each question gives a pot and a bet. Type the equity you need to call, or the pot odds as X:1, within{" "}
+              {QUIZ_TIME_LIMIT_MS / 1000} seconds. Answers within {QUIZ_TOLERANCE} points of the required equity count.
+            </p>
+          )}
+
+          {question && (
+            <form className="app__quiz" onSubmit={submitAnswer}>
+              <p className="app__quiz-question">
+                The pot is ${formatAmount(question.potSize)} and the villain bets ${formatAmount(question.betSize)}.{" "}
+                {question.kind === "equity"
+                  ? "What equity (%) do you need to call?"
+                  : "What pot odds are you getting (X:1)?"}
+              </p>
+              <div className="app__quiz-timer" aria-hidden="true">
+                <span style={{ width: `${(remainingMs / QUIZ_TIME_LIMIT_MS) * 100}%` }} />
+              </div>
+              <div className="app__history-filters">
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={answer}
+                  placeholder={question.kind === "equity" ? "e.g. 25" : "e.g. 3:1"}
+                  onChange={(event) => setAnswer(event.target.value)}
+                  disabled={Boolean(result)}
+                  autoFocus
+                />
+                {!result && (
+                  <button type="submit" className="app__raise-option app__raise-option--active">
+                    Answer ({(remainingMs / 1000).toFixed(1)}s)
+                  </button>
+                )}
+              </div>
+            </form>
+          )}
+
+          {result && (
+            <div className={`app__feedback ${result.correct ? "bg-green-500" : "bg-red-500"}`}>
+              {result.correct ? "Correct" : result.timedOut ? "Time's up" : "Not quite"}
+              {result.error !== null && !result.correct && ` – off by ${result.error.toFixed(1)} points`}.{" "}
+              Required equity = ${formatAmount(result.betSize)} ÷ (${formatAmount(result.potSize)} + $
+              {formatAmount(result.betSize)} + ${formatAmount(result.betSize)}) = {result.requiredEquity.toFixed(1)}%, which
+              is pot odds of {result.potOddsRatio.toFixed(1)}:1. Answered in {(result.elapsedMs / 1000).toFixed(1)}s.
+            </div>
+          )}
+
+          {(!question || result) && (
+            <button type="button" className="app__next-button" onClick={nextQuestion} autoFocus>
+              {question ? "Next Question" : "Start Quiz"}
+            </button>
+          )}
+
+          {results.length > 0 && (
+            <section className="app__history-weeks">
+              <h3>Speed and accuracy</h3>
+              <ul>
+                <li>Overall: {describeSummary(summary.overall)}</li>
+                <li>Last 20: {describeSummary(summary.recent)}</li>
+                {summary.previous.answered > 0 && <li>20 before that: {describeSummary(summary.previous)}</li>}
+                {summary.byDay.map((day) => (
+                  <li key={day.day}>
+                    {new Date(day.day).toLocaleDateString()}: {describeSummary(day)}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useState } from "react";
+
+function formatAmount(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0.00";
+  return num.toFixed(2);
+}
+
+/**
+ * Lets the hero pick a raise size before submitting: preset sizes from
+ * getRaiseSizeOptions plus a custom amount on a slider.
+ */
+export default function RaiseSizer({ options = [], onConfirm, onCancel }) {
+  const minimum = options[0]?.amount ?? 1;
+  const maximum = options[options.length - 1]?.amount ?? minimum;
+  const [selectedKey, setSelectedKey] = useState(options[0]?.key ?? "custom");
+  const [customAmount, setCustomAmount] = useState(minimum);
+
+  const selectedOption = options.find((option) => option.key === selectedKey);
+  const amount = selectedOption ? selectedOption.amount : customAmount;
+  const label = selectedOption ? selectedOption.label : "Custom";
+
+  return (
+    <div className="app__raise-sizer">
+      <h4 className="app__raise-sizer-title">Choose your raise size</h4>
+      <div className="app__raise-sizer-options">
+        {options.map((option) => (
+          <button
+            type="button"
+            key={option.key}
+            className={`app__raise-option${selectedKey === option.key ? " app__raise-option--active" : ""}`}
+            onClick={() => setSelectedKey(option.key)}
+          >
+            <span>{option.label}</span>
+            <span className="app__raise-option-amount">${formatAmount(option.amount)}</span>
+          </button>
+        ))}
+        <button
+          type="button"
+          className={`app__raise-option${selectedKey === "custom" ? " app__raise-option--active" : ""}`}
+          onClick={() => setSelectedKey("custom")}
+        >
+          <span>Custom</span>
+          <span className="app__raise-option-amount">${formatAmount(customAmount)}</span>
+        </button>
+      </div>
+      {selectedKey === "custom" && (
+        <label className="app__raise-slider">
+          <span>Raise to ${formatAmount(customAmount)}</span>
+          <input
+            type="range"
+            min={minimum}
+            max={maximum}
+            step={0.5}
+            value={customAmount}
+            onChange={(event) => setCustomAmount(Number(event.target.value))}
+          />
+        </label>
+      )}
+      <div className="app__raise-sizer-actions">
+        <button type="button" className="app__raise-cancel" onClick={onCancel}>
+          Back
+        </button>
+        <button
+          type="button"
+          className="app__decision-button app__decision-button--raise"
+          onClick={() => onConfirm(amount, label)}
+        >
+          Raise to ${formatAmount(amount)}
+        </button>
+      </div>
+    </div>
+  );
+}
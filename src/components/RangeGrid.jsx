@@ -0,0 +1,31 @@
+import { getGridHand, RANGE_GRID_RANKS } from "../utils/villainProfiles";
+
+/**
+ * The 13×13 preflop hand grid: pairs on the diagonal, suited hands above it,
+ * offsuit below. `selected` lists the hand classes in the range; `onToggle` gets
+ * the hand class of the clicked cell.
+ */
+export default function RangeGrid({ selected = [], onToggle }) {
+  const inRange = new Set(selected);
+  return (
+    <div className="app__range-grid" role="group" aria-label="Preflop range">
+      {RANGE_GRID_RANKS.map((rowRank, row) =>
+        RANGE_GRID_RANKS.map((columnRank, column) => {
+          const hand = getGridHand(row, column);
+          const kind = row === column ? "pair" : row < column ? "suited" : "offsuit";
+          return (
+            <button
+              type="button"
+              key={hand}
+              className={`app__range-cell app__range-cell--${kind}${inRange.has(hand) ? " app__range-cell--selected" : ""}`}
+              onClick={() => onToggle(hand)}
+              aria-pressed={inRange.has(hand)}
+            >
+              {hand}
+            </button>
+          );
+        })
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Countdown for speed mode. Ticks from `startedAt` for `seconds` and calls
+ * `onExpire` once when the time is up. The latest `onExpire` is read from a ref,
+ * so a parent re-render passing a new callback does not restart the countdown.
+ */
+export default function ShotClock({ seconds, startedAt, onExpire }) {
+  const limitMs = seconds * 1000;
+  const [now, setNow] = useState(() => Date.now());
+  const onExpireRef = useRef(onExpire);
+
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  }, [onExpire]);
+
+  useEffect(() => {
+    const timer = window.setInterval(() => {
+      const current = Date.now();
+      if (current - startedAt >= limitMs) {
+        window.clearInterval(timer);
+        onExpireRef.current();
+      } else {
+        setNow(current);
+      }
+    }, 100);
+    return () => window.clearInterval(timer);
+  }, [startedAt, limitMs]);
+
+  const remainingMs = Math.max(0, limitMs - (now - startedAt));
+  const urgent = remainingMs <= Math.min(3000, limitMs / 3);
+
+  return (
+    <div className={`app__shot-clock${urgent ? " app__shot-clock--urgent" : ""}`} role="timer" aria-live="off">
+      <span className="app__shot-clock-label">Shot clock: {(remainingMs / 1000).toFixed(1)}s</span>
+      <div className="app__quiz-timer">
+        <span style={{ width: `${(remainingMs / limitMs) * 100}%` }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { useMemo } from "react";
+import { buildSpeedReport } from "../utils/speedReport";
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function renderGroup(group) {
+  return (
+    <li key={group.label} className="app__history-item">
+      <div className="app__history-item-main">
+        <span className="app__history-item-cards">{capitalize(group.label)}</span>
+        <span>
+          {group.accuracy.toFixed(0)}% accurate • {group.averageSeconds.toFixed(1)}s average •{" "}
+          {group.averageLossBB.toFixed(2)} bb lost per decision
+        </span>
+        <span className="app__history-item-meta">
+          {group.decisions} decision{group.decisions === 1 ? "" : "s"}
+          {group.timeouts > 0 ? ` • ${group.timeouts} auto-folded on the shot clock` : ""}
+        </span>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Speed report: whether accuracy holds up under the shot clock and at speed,
+ * and which spot types take the longest to decide.
+ */
+export default function SpeedReport({ records = [], loading = false, onClose }) {
+  const report = useMemo(() => buildSpeedReport(records), [records]);
+
+  return (
+    <div
+      className="app__modal"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Speed report"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="app__modal-content">
+        <div className="app__modal-header">
+          <h2 className="app__modal-title">Speed Report</h2>
+          <button type="button" className="app__modal-close" onClick={onClose} aria-label="Close speed report">
+            ×
+          </button>
+        </div>
+        <div className="app__modal-body">
+          {loading && <p className="app__history-empty">Loading history...</p>}
+          {!loading && report.decisions === 0 && (
+            <p className="app__history-empty">No timed decisions yet. Every graded decision records how long it took.</p>
+          )}
+          {report.decisions > 0 && (
+            <>
+              <section className="app__history-weeks">
+                <h3>Under time pressure</h3>
+                <ul className="app__history-list">{report.byClock.map(renderGroup)}</ul>
+              </section>
+              <section className="app__history-weeks">
+                <h3>By decision time</h3>
+                <ul className="app__history-list">{report.bySpeed.map(renderGroup)}</ul>
+              </section>
+              <section className="app__history-weeks">
+                <h3>Slowest spot types</h3>
+                <ul className="app__history-list">{report.bySpot.map(renderGroup)}</ul>
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
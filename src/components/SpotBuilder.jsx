@@ -0,0 +1,250 @@
+import { useMemo, useState } from "react";
+import {
+  buildSpot,
+  DEFAULT_SPOT_FIELDS,
+  deleteSavedSpot,
+  listSavedSpots,
+  POSTFLOP_ACTION_ORDER,
+  saveSpotToLibrary,
+  validateSpotFields,
+} from "../utils/spotBuilder";
+import { getVillainNames } from "../utils/villainProfiles";
+import CardGrid from "./CardGrid";
+import PlayingCard from "./PlayingCard";
+
+const CARD_LIMITS = { hero: 2, board: 5 };
+const NUMBER_FIELDS = [
+  { key: "potSize", label: "Pot ($)" },
+  { key: "betSize", label: "Villain bet ($, 0 = check)" },
+  { key: "heroStack", label: "Hero stack ($)" },
+  { key: "villainStack", label: "Villain stack ($)" },
+  { key: "bigBlind", label: "Big blind ($)" },
+  { key: "numOpponents", label: "Opponents" },
+];
+
+function describeCards(codes = []) {
+  return codes.map((code) => code.replace("0", "10")).join(" ") || "none";
+}
+
+/**
+ * Spot Builder: pick hole cards, board, pot, bet, stacks, positions, archetype
+ * and opponents, then play the spot, save it to the named library, or play the
+ * whole library as a lesson.
+ */
+export default function SpotBuilder({ cardStyle = {}, onPlay, onPlayLibrary, onClose }) {
+  const [fields, setFields] = useState(DEFAULT_SPOT_FIELDS);
+  const [target, setTarget] = useState("hero");
+  const [library, setLibrary] = useState(listSavedSpots);
+  const [villainNames] = useState(getVillainNames);
+  const errors = useMemo(() => validateSpotFields(fields), [fields]);
+  const marks = useMemo(
+    () => ({
+      ...Object.fromEntries(fields.heroCards.map((code) => [code, "hero"])),
+      ...Object.fromEntries(fields.boardCards.map((code) => [code, "board"])),
+    }),
+    [fields.heroCards, fields.boardCards]
+  );
+
+  const updateField = (key, value) => setFields((prev) => ({ ...prev, [key]: value }));
+
+  const toggleCard = (code) => {
+    // A picked card comes back off wherever it sits; a free card goes to the active target.
+    if (marks[code]) {
+      const key = `${marks[code]}Cards`;
+      updateField(key, fields[key].filter((picked) => picked !== code));
+      return;
+    }
+    const key = `${target}Cards`;
+    if (fields[key].length < CARD_LIMITS[target]) {
+      updateField(key, [...fields[key], code]);
+    }
+  };
+
+  const playLibrary = () => {
+    const spots = library
+      .filter((entry) => validateSpotFields(entry.fields).length === 0)
+      .map((entry) => buildSpot(entry.fields));
+    if (spots.length > 0) onPlayLibrary(spots);
+  };
+
+  return (
+    <div
+      className="app__modal"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Spot builder"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="app__modal-content">
+        <div className="app__modal-header">
+          <h2 className="app__modal-title">Spot Builder</h2>
+          <button type="button" className="app__modal-close" onClick={onClose} aria-label="Close spot builder">
+            ×
+          </button>
+        </div>
+        <div className="app__modal-body">
+          <div className="app__history-filters">
+            {["hero", "board"].map((key) => (
+              <button
+                type="button"
+                key={key}
+                className={`app__raise-option${target === key ? " app__raise-option--active" : ""}`}
+                onClick={() => setTarget(key)}
+              >
+                {key === "hero" ? "Pick hole cards" : "Pick board cards"} ({fields[`${key}Cards`].length}/
+                {CARD_LIMITS[key]})
+              </button>
+            ))}
+          </div>
+          <CardGrid marks={marks} onToggle={toggleCard} fourColor={cardStyle.fourColor} />
+
+          <div className="app__builder-preview">
+            {fields.heroCards.map((code) => (
+              <PlayingCard key={code} code={code} size="small" {...cardStyle} />
+            ))}
+            <span className="app__builder-divider">|</span>
+            {fields.boardCards.map((code) => (
+              <PlayingCard key={code} code={code} size="small" {...cardStyle} />
+            ))}
+          </div>
+
+          <div className="app__history-filters">
+            {NUMBER_FIELDS.map(({ key, label }) => (
+              <label className="app__history-filter" key={key}>
+                <span>{label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={fields[key]}
+                  onChange={(event) => updateField(key, event.target.value)}
+                />
+              </label>
+            ))}
+            <label className="app__history-filter">
+              <span>Hero position</span>
+              <select value={fields.heroPosition} onChange={(event) => updateField("heroPosition", event.target.value)}>
+                {POSTFLOP_ACTION_ORDER.map((position) => (
+                  <option key={position}>{position}</option>
+                ))}
+              </select>
+            </label>
+            <label className="app__history-filter">
+              <span>Villain position</span>
+              <select
+                value={fields.opponentPosition}
+                onChange={(event) => updateField("opponentPosition", event.target.value)}
+              >
+                {POSTFLOP_ACTION_ORDER.map((position) => (
+                  <option key={position}>{position}</option>
+                ))}
+              </select>
+            </label>
+            <label className="app__history-filter">
+              <span>Villain archetype</span>
+              <select
+                value={fields.opponentArchetype}
+                onChange={(event) => updateField("opponentArchetype", event.target.value)}
+              >
+                {villainNames.map((archetype) => (
+                  <option key={archetype}>{archetype}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="app__builder-errors">
+              {errors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="app__history-filters">
+            <label className="app__history-filter">
+              <span>Spot name</span>
+              <input
+                type="text"
+                value={fields.name}
+                placeholder="e.g. Flush draw vs pot bet"
+                onChange={(event) => updateField("name", event.target.value)}
+              />
+            </label>
+            <button
+              type="button"
+              className="app__raise-option"
+              disabled={errors.length > 0 || !fields.name.trim()}
+              onClick={() => setLibrary(saveSpotToLibrary(fields))}
+            >
+              Save to library
+            </button>
+            <button
+              type="button"
+              className="app__raise-option app__raise-option--active"
+              disabled={errors.length > 0}
+              onClick={() => onPlay(buildSpot(fields))}
+            >
+              Play this spot
+            </button>
+            <button type="button" className="app__raise-cancel" onClick={() => setFields(DEFAULT_SPOT_FIELDS)}>
+              Reset
+            </button>
+          </div>
+
+          <section className="app__history-weeks">
+            <h3>Spot library</h3>
+            {library.length === 0 ? (
+              <p className="app__history-empty">No saved spots yet. Name a spot and save it to build a lesson.</p>
+            ) : (
+              <>
+                <button type="button" className="app__raise-option" onClick={playLibrary}>
+                  Play library as a lesson ({library.length} spots)
+                </button>
+                <ul className="app__history-list app__builder-library">
+                  {library.map((entry) => (
+                    <li key={entry.name} className="app__history-item">
+                      <div className="app__history-item-main">
+                        <span>{entry.name}</span>
+                        <span className="app__history-item-cards">
+                          {describeCards(entry.fields.heroCards)} | {describeCards(entry.fields.boardCards)}
+                        </span>
+                        <span className="app__history-item-meta">
+                          Pot ${entry.fields.potSize} • bet ${entry.fields.betSize} • {entry.fields.opponentArchetype} •{" "}
+                          {entry.fields.numOpponents} opponent{Number(entry.fields.numOpponents) === 1 ? "" : "s"}
+                        </span>
+                      </div>
+                      <div className="app__builder-actions">
+                        <button type="button" className="app__raise-option" onClick={() => setFields(entry.fields)}>
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          className="app__raise-option"
+                          onClick={() => onPlay(buildSpot(entry.fields))}
+                          disabled={validateSpotFields(entry.fields).length > 0}
+                        >
+                          Play
+                        </button>
+                        <button
+                          type="button"
+                          className="app__raise-cancel"
+                          onClick={() => setLibrary(deleteSavedSpot(entry.name))}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
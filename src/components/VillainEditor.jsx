@@ -0,0 +1,197 @@
+import { useMemo, useState } from "react";
+import { ARCHETYPES } from "../utils/handState";
+import {
+  DEFAULT_VILLAIN_FIELDS,
+  deleteCustomVillain,
+  getArchetypeHands,
+  getRangePercent,
+  listCustomVillains,
+  saveCustomVillain,
+  validateVillainFields,
+} from "../utils/villainProfiles";
+import RangeGrid from "./RangeGrid";
+
+const FREQUENCY_FIELDS = [
+  { key: "aggression", label: "Aggression", help: "How often they bet when checked to or first in." },
+  { key: "foldToRaise", label: "Fold to raise", help: "50% folds like a solid regular; lower is stickier." },
+  { key: "bluffFrequency", label: "Bluff frequency", help: "Share of their postflop bets that are air." },
+];
+
+/**
+ * Villain editor: name a villain, paint their preflop range on the 13×13 grid,
+ * set aggression, fold-to-raise and bluff frequencies, and keep them in a local
+ * list the dealer and the EV analysis both use. Saving an edited villain under a
+ * new name renames it in place; `onRename` and `onDelete` let the table follow.
+ */
+export default function VillainEditor({ onRename, onDelete, onClose }) {
+  const [fields, setFields] = useState(DEFAULT_VILLAIN_FIELDS);
+  const [editing, setEditing] = useState(null);
+  const [villains, setVillains] = useState(listCustomVillains);
+  const errors = useMemo(() => validateVillainFields(fields), [fields]);
+
+  const updateField = (key, value) => setFields((prev) => ({ ...prev, [key]: value }));
+
+  const save = () => {
+    const name = fields.name.trim();
+    setVillains(saveCustomVillain(fields, editing));
+    if (editing && editing !== name) onRename(editing, name);
+    setEditing(name);
+  };
+
+  const remove = (name) => {
+    setVillains(deleteCustomVillain(name));
+    if (editing === name) setEditing(null);
+    onDelete(name);
+  };
+
+  const reset = () => {
+    setFields(DEFAULT_VILLAIN_FIELDS);
+    setEditing(null);
+  };
+
+  const toggleHand = (hand) => {
+    updateField(
+      "hands",
+      fields.hands.includes(hand) ? fields.hands.filter((entry) => entry !== hand) : [...fields.hands, hand]
+    );
+  };
+
+  return (
+    <div
+      className="app__modal"
+      role="dialog"
+      aria-modal="true"
+      aria-label="Villain editor"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) {
+          onClose();
+        }
+      }}
+    >
+      <div className="app__modal-content">
+        <div className="app__modal-header">
+          <h2 className="app__modal-title">Villain Editor</h2>
+          <button type="button" className="app__modal-close" onClick={onClose} aria-label="Close villain editor">
+            ×
+          </button>
+        </div>
+        <div className="app__modal-body">
+          <div className="app__history-filters">
+            <label className="app__history-filter">
+              <span>Villain name</span>
+              <input
+                type="text"
+                value={fields.name}
+                placeholder="e.g. Tuesday night reg"
+                onChange={(event) => updateField("name", event.target.value)}
+              />
+            </label>
+          </div>
+
+          <div className="app__history-filters">
+            <span>Start from:</span>
+            {ARCHETYPES.map((archetype) => (
+              <button
+                type="button"
+                key={archetype}
+                className="app__raise-option"
+                onClick={() => updateField("hands", getArchetypeHands(archetype))}
+              >
+                {archetype}
+              </button>
+            ))}
+            <button type="button" className="app__raise-cancel" onClick={() => updateField("hands", [])}>
+              Clear range
+            </button>
+          </div>
+          <RangeGrid selected={fields.hands} onToggle={toggleHand} />
+          <p className="app__history-item-meta">
+            {fields.hands.length} hand classes • {getRangePercent(fields.hands).toFixed(1)}% of starting hands
+          </p>
+
+          <div className="app__history-filters">
+            {FREQUENCY_FIELDS.map(({ key, label, help }) => (
+              <label className="app__history-filter" key={key} title={help}>
+                <span>
+                  {label}: {fields[key]}%
+                </span>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value={fields[key]}
+                  onChange={(event) => updateField(key, Number(event.target.value))}
+                />
+              </label>
+            ))}
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="app__builder-errors">
+              {errors.map((message) => (
+                <li key={message}>{message}</li>
+              ))}
+            </ul>
+          )}
+          <div className="app__history-filters">
+            <button
+              type="button"
+              className="app__raise-option app__raise-option--active"
+              disabled={errors.length > 0}
+              onClick={save}
+            >
+              {editing ? `Save changes to ${editing}` : "Save villain"}
+            </button>
+            <button type="button" className="app__raise-cancel" onClick={reset}>
+              Reset
+            </button>
+          </div>
+
+          <section className="app__history-weeks">
+            <h3>Your villains</h3>
+            {villains.length === 0 ? (
+              <p className="app__history-empty">
+                No custom villains yet. Saved villains join the table from the next hand and appear in the difficulty
+                and spot builder villain lists.
+              </p>
+            ) : (
+              <ul className="app__history-list app__builder-library">
+                {villains.map((villain) => (
+                  <li key={villain.name} className="app__history-item">
+                    <div className="app__history-item-main">
+                      <span>{villain.name}</span>
+                      <span className="app__history-item-meta">
+                        {getRangePercent(villain.hands).toFixed(1)}% of hands • aggression {villain.aggression}% • folds
+                        to raises {villain.foldToRaise}% • bluffs {villain.bluffFrequency}%
+                      </span>
+                    </div>
+                    <div className="app__builder-actions">
+                      <button
+                        type="button"
+                        className="app__raise-option"
+                        onClick={() => {
+                          setFields(villain);
+                          setEditing(villain.name);
+                        }}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        className="app__raise-cancel"
+                        onClick={() => remove(villain.name)}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+/**
+ * Poker Decision Trainer – Decision Grader
+ * Grades a decision by the EV it gives up; rule-of-thumb advice rides along as a hint.
+*/
+
+// Most EV (in big blinds) a decision can give up and still land in each band.
+export const EV_LOSS_BANDS = [
+  { key: "best", label: "Best", maxLossBB: 0.05 },
+  { key: "fine", label: "Fine", maxLossBB: 0.5 },
+  { key: "inaccuracy", label: "Inaccuracy", maxLossBB: 2 },
+  { key: "blunder", label: "Blunder", maxLossBB: Infinity },
+];
+
+/**
+ * Scores `userAction` against the best play in the metrics returned by `analyzeScenario`.
+ *
+ * The band, reason and numbers all come from the EV comparison: the EV given up
+ * (in dollars and big blinds) against the best action at its best size, so a raise
+ * of the right kind but the wrong size still loses something. `hint` is the
+ * rule-based `{ move, reason }` suggestion; it never changes the grade, but the
+ * result says whether it agrees so the UI can flag a disagreement instead of
+ * contradicting itself. Without EV metrics the decision is left ungraded.
+ */
+export function gradeDecision({
+  metrics = null,
+  userAction = metrics?.userAction ?? "",
+  hint = null,
+  bigBlind = 1,
+} = {}) {
+  const hintResult = hint?.move
+    ? { move: hint.move, reason: hint.reason || "", agrees: null }
+    : null;
+
+  const evs = collectActionEVs(metrics);
+  if (!metrics?.optimalAction || !(userAction in evs)) {
+    return {
+      band: "ungraded",
+      label: "Ungraded",
+      userAction,
+      optimalAction: null,
+      userEV: null,
+      optimalEV: null,
+      evLoss: 0,
+      evLossBB: 0,
+      bigBlind,
+      message: "EV analysis is unavailable for this spot, so this decision is not graded.",
+      reason: "",
+      hint: hintResult,
+    };
+  }
+
+  const { optimalAction } = metrics;
+  const optimalEV = evs[optimalAction];
+  const userEV =
+    userAction === "Raise" && Number.isFinite(metrics.chosenRaise?.ev) ? metrics.chosenRaise.ev : evs[userAction];
+  const evLoss = Math.max(0, optimalEV - userEV);
+  const evLossBB = bigBlind > 0 ? evLoss / bigBlind : evLoss;
+  const band = classifyEVLoss(evLossBB);
+  const reason = explainOptimalAction(metrics, evs);
+
+  if (hintResult) {
+    hintResult.agrees = isSameMove(hintResult.move, optimalAction);
+  }
+
+  return {
+    band: band.key,
+    label: band.label,
+    userAction,
+    optimalAction,
+    userEV,
+    optimalEV,
+    evLoss,
+    evLossBB,
+    bigBlind,
+    message: `${band.label}. ${describeLoss({ band, userAction, optimalAction, evLoss, evLossBB })} ${reason}`,
+    reason,
+    hint: hintResult,
+  };
+}
+
+export function classifyEVLoss(evLossBB) {
+  return EV_LOSS_BANDS.find((band) => evLossBB <= band.maxLossBB) || EV_LOSS_BANDS[EV_LOSS_BANDS.length - 1];
+}
+
+export function createEmptyTotals() {
+  return {
+    decisions: 0,
+    evLoss: 0,
+    evLossBB: 0,
+    bands: Object.fromEntries(EV_LOSS_BANDS.map((band) => [band.key, 0])),
+  };
+}
+
+/**
+ * Adds one graded decision to running totals. Ungraded decisions are skipped.
+ */
+export function addGradeToTotals(totals, grade) {
+  if (!grade || !(grade.band in totals.bands)) return totals;
+  return {
+    decisions: totals.decisions + 1,
+    evLoss: totals.evLoss + grade.evLoss,
+    evLossBB: totals.evLossBB + grade.evLossBB,
+    bands: { ...totals.bands, [grade.band]: totals.bands[grade.band] + 1 },
+  };
+}
+
+function describeLoss({ band, userAction, optimalAction, evLoss, evLossBB }) {
+  const given = `$${evLoss.toFixed(2)} (${evLossBB.toFixed(2)} bb)`;
+  if (band.key === "best") return `${userAction} is the highest-EV play here.`;
+  if (userAction === optimalAction) {
+    return `${userAction} is the right action, but your size gives up ${given} against the best size.`;
+  }
+  return `${userAction} gives up ${given} against ${optimalAction}, the best move here.`;
+}
+
+function collectActionEVs(metrics) {
+  if (!metrics?.optimalAction) return {};
+  const evs = { [metrics.optimalAction]: Number(metrics.optimalEV) || 0 };
+  (metrics.alternatives || []).forEach(({ action, ev }) => {
+    evs[action] = Number(ev) || 0;
+  });
+  return evs;
+}
+
+function explainOptimalAction(metrics, evs) {
+  const ranking = Object.entries(evs)
+    .sort((a, b) => b[1] - a[1])
+    .map(([action, ev]) => `${action} ${formatSignedDollars(ev)}`)
+    .join(", ");
+  // Overcalls from players behind lower the price, so compare against the threshold the Call EV used.
+  const requiredEquity = Number(
+    metrics.playersBehind > 0 && Number.isFinite(Number(metrics.multiwayRequiredEquity))
+      ? metrics.multiwayRequiredEquity
+      : metrics.requiredEquity
+  );
+  const equity = `${formatPercent(metrics.heroEquity)}%`;
+  const required = `${formatPercent(requiredEquity)}%`;
+  const comparison = Number(metrics.heroEquity) >= requiredEquity ? "beats" : "falls short of";
+
+  let driver = "";
+  if (metrics.optimalAction === "Raise") {
+    driver = `Raising takes the pot down ${formatPercent(metrics.foldThrough)}% of the time and your ${equity} equity covers the rest.`;
+  } else if (metrics.optimalAction === "Call" || metrics.optimalAction === "Fold") {
+    driver = `Your ${equity} equity ${comparison} the ${required} the price requires.`;
+  } else if (metrics.optimalAction === "Check") {
+    driver = "Checking sees the next card for free and no raise size beats it.";
+  }
+  return `${driver} EV by action: ${ranking}.`;
+}
+
+function isSameMove(hintMove, action) {
+  const normalized = String(hintMove).toUpperCase();
+  // The rule-based hints say "Call" for both checking and calling.
+  if (normalized === "CALL") return action === "Call" || action === "Check";
+  return normalized === String(action).toUpperCase();
+}
+
+function formatSignedDollars(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "$0.00";
+  return `${num >= 0 ? "+" : "-"}$${Math.abs(num).toFixed(2)}`;
+}
+
+function formatPercent(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0.0";
+  return num.toFixed(1);
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { gradeDecision } from "./decisionGrader";
+import { analyzeScenario } from "./evDecisionLogic";
+
+// 4s4h on a K-7-2-3-Q river facing a pot-sized bet: 31.4% equity against the 33.3% the price requires.
+const underpricedRiver = {
+  gameState: { potSize: 100, effectiveStack: 100, communityCards: ["KD", "7C", "2H", "3S", "QD"], numPlayers: 2, playersBehind: 0 },
+  heroState: { holeCards: ["4S", "4H"], position: "Button" },
+  opponentProfile: { archetype: "Default", position: "Big Blind" },
+  actionHistory: [],
+  currentDecision: { amountToCall: 100, betSize: 100 },
+  metadata: { userAction: "Fold" },
+};
+
+describe("gradeDecision below the price equity", () => {
+  const { metrics } = analyzeScenario(underpricedRiver, "Fold");
+
+  it("scores a fold as giving up nothing", () => {
+    const grade = gradeDecision({ metrics, userAction: "Fold", bigBlind: 2 });
+    expect(grade.evLoss).toBe(0);
+    expect(grade.band).toBe("best");
+    expect(grade.reason).toContain("falls short of the 33.3%");
+  });
+
+  it("scores a call as a loss", () => {
+    const grade = gradeDecision({ metrics, userAction: "Call", bigBlind: 2 });
+    expect(grade.evLoss).toBeGreaterThan(0);
+    expect(grade.band).not.toBe("best");
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Poker Decision Trainer – Deck Engine
+ * Shuffles and deals locally from a seeded PRNG so any hand can be replayed from its seed.
+*/
+
+const RANKS = [
+  { code: "2", value: "2" },
+  { code: "3", value: "3" },
+  { code: "4", value: "4" },
+  { code: "5", value: "5" },
+  { code: "6", value: "6" },
+  { code: "7", value: "7" },
+  { code: "8", value: "8" },
+  { code: "9", value: "9" },
+  { code: "0", value: "10" },
+  { code: "J", value: "JACK" },
+  { code: "Q", value: "QUEEN" },
+  { code: "K", value: "KING" },
+  { code: "A", value: "ACE" },
+];
+const SUITS = [
+  { code: "C", suit: "CLUBS" },
+  { code: "D", suit: "DIAMONDS" },
+  { code: "H", suit: "HEARTS" },
+  { code: "S", suit: "SPADES" },
+];
+const IMAGE_BASE_URL = "https://deckofcardsapi.com/static/img";
+export const HAND_CARD_COUNT = 7;
+
+/**
+ * Hashes any string seed into a 32-bit state and returns a mulberry32 generator
+ * with the same contract as Math.random (floats in [0, 1)).
+ */
+export function createSeededRng(seed) {
+  let state = hashSeed(String(seed));
+  return function next() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Independent random stream for one part of a hand (the deal, the table, each
+ * street's action) so replaying a seed reproduces every part the same way.
+ */
+export function createHandRng(seed, label) {
+  return createSeededRng(`${seed}|${label}`);
+}
+
+export function generateSeed() {
+  return Math.floor(Math.random() * 36 ** 8)
+    .toString(36)
+    .padStart(8, "0");
+}
+
+/**
+ * The 52 cards in the same shape the Deck of Cards API returns.
+ */
+export function createDeck() {
+  return SUITS.flatMap((suit) => RANKS.map((rank) => createCard(rank, suit)));
+}
+
+/**
+ * One card in the API shape from its code ("AS", "0H"); null for unknown codes.
+ */
+export function getCardByCode(code) {
+  const normalized = String(code || "").toUpperCase();
+  return createDeck().find((card) => card.code === normalized) || null;
+}
+
+export function shuffleDeck(seed) {
+  const rng = createHandRng(seed, "deck");
+  const cards = createDeck();
+  for (let i = cards.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    const temp = cards[i];
+    cards[i] = cards[j];
+    cards[j] = temp;
+  }
+  return cards;
+}
+
+/**
+ * Deals one hand from a seeded shuffle: two hole cards followed by five board cards.
+ */
+export function dealHand(seed) {
+  return shuffleDeck(seed).slice(0, HAND_CARD_COUNT);
+}
+
+function createCard(rank, suit) {
+  const code = `${rank.code}${suit.code}`;
+  // The API serves the ace of diamonds under its own file name.
+  const imageName = code === "AD" ? "aceDiamonds" : code;
+  return {
+    code,
+    value: rank.value,
+    suit: suit.suit,
+    image: `${IMAGE_BASE_URL}/${imageName}.png`,
+    images: {
+      svg: `${IMAGE_BASE_URL}/${imageName}.svg`,
+      png: `${IMAGE_BASE_URL}/${imageName}.png`,
+    },
+  };
+}
+
+function hashSeed(text) {
+  // FNV-1a keeps similar seeds ("abc1", "abc2") far apart.
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
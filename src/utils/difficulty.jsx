@@ -0,0 +1,159 @@
+/**
+ * Poker Decision Trainer – Difficulty Profiles
+ * Beginner, Intermediate, Advanced and custom settings for the streets played, hints,
+ * EV margins, villain archetypes and multi-way pots.
+*/
+
+import { analyzeScenario } from "./evDecisionLogic";
+import { dealStreetAction, ROUND_STATES } from "./handState";
+import { buildAnalysisScenario } from "./spotBuilder";
+import { getVillainModel, getVillainNames } from "./villainProfiles";
+
+const BOARD_SIZE_BY_ROUND = [0, 3, 4, 5];
+// How many villain actions to try per street when looking for a spot inside the EV margin.
+const MARGIN_ATTEMPTS = 4;
+// Monte Carlo samples per screening pass – enough to rank the actions, a small fraction of a full analysis.
+const SCREENING_ITERATIONS = 300;
+
+// Gap between the best and second-best action, in big blinds.
+export const EV_MARGINS = [
+  { key: "clear", label: "Clear-cut (best action wins by 2+ bb)", fits: (gap) => gap >= 2 },
+  { key: "any", label: "Any spot", fits: () => true },
+  { key: "close", label: "Near-indifferent (within 0.5 bb)", fits: (gap) => gap <= 0.5 },
+];
+
+export const DIFFICULTY_PROFILES = [
+  {
+    key: "beginner",
+    label: "Beginner",
+    settings: {
+      firstStreet: "preflop",
+      lastStreet: "flop",
+      hints: true,
+      evMargin: "clear",
+      archetypes: ["Calling Station", "Nit"],
+      multiway: false,
+    },
+  },
+  {
+    key: "intermediate",
+    label: "Intermediate",
+    settings: {
+      firstStreet: "preflop",
+      lastStreet: "river",
+      hints: true,
+      evMargin: "any",
+      // null seats any villain, saved custom villains included.
+      archetypes: null,
+      multiway: true,
+    },
+  },
+  {
+    key: "advanced",
+    label: "Advanced",
+    settings: {
+      firstStreet: "preflop",
+      lastStreet: "river",
+      hints: false,
+      evMargin: "close",
+      archetypes: ["Default", "LAG"],
+      multiway: true,
+    },
+  },
+];
+
+export const DEFAULT_DIFFICULTY = {
+  profile: "intermediate",
+  custom: DIFFICULTY_PROFILES[1].settings,
+};
+
+/**
+ * Settings for the chosen profile; "custom" uses the player's own settings,
+ * cleaned up so a stale or hand-edited copy still deals valid hands.
+ */
+export function resolveDifficulty(difficulty = DEFAULT_DIFFICULTY) {
+  if (difficulty.profile === "custom") {
+    return normalizeDifficultySettings(difficulty.custom);
+  }
+  const preset = DIFFICULTY_PROFILES.find((profile) => profile.key === difficulty.profile);
+  return (preset || DIFFICULTY_PROFILES[1]).settings;
+}
+
+export function normalizeDifficultySettings(settings = {}) {
+  const base = DEFAULT_DIFFICULTY.custom;
+  const first = ROUND_STATES.includes(settings.firstStreet) ? settings.firstStreet : base.firstStreet;
+  const last = ROUND_STATES.includes(settings.lastStreet) ? settings.lastStreet : base.lastStreet;
+  const villainNames = getVillainNames();
+  const archetypes = (Array.isArray(settings.archetypes) ? settings.archetypes : []).filter((name) =>
+    villainNames.includes(name)
+  );
+  return {
+    firstStreet: first,
+    lastStreet: ROUND_STATES.indexOf(last) < ROUND_STATES.indexOf(first) ? first : last,
+    hints: settings.hints !== false,
+    evMargin: EV_MARGINS.some((margin) => margin.key === settings.evMargin) ? settings.evMargin : base.evMargin,
+    archetypes: archetypes.length > 0 ? archetypes : base.archetypes,
+    multiway: settings.multiway !== false,
+  };
+}
+
+/**
+ * Table options `createHandState` reads for a profile.
+ */
+export function getTableOptions(settings) {
+  return {
+    archetypes: settings.archetypes || getVillainNames(),
+    maxOpponents: settings.multiway ? undefined : 1,
+    firstStreetIndex: ROUND_STATES.indexOf(settings.firstStreet),
+    lastStreetIndex: ROUND_STATES.indexOf(settings.lastStreet),
+  };
+}
+
+/**
+ * Deals the villain action for the table's current street within the profile's EV margin.
+ *
+ * "Any spot" deals exactly as `dealStreetAction` does, at a custom villain's
+ * aggression. Otherwise up to four villain actions are tried, each with its own
+ * random stream from `rngFor(attempt)`, and the first whose gap between the best
+ * and second-best action fits the margin is dealt; when none fits, the closest one is.
+ * Candidates are screened with a quick, low-sample analysis so dealing stays
+ * responsive; the full analysis runs only once the player acts on the kept street.
+ */
+export function dealDifficultyStreet(state, settings, { heroCards = [], fullBoard = [] }, rngFor) {
+  const margin = EV_MARGINS.find((entry) => entry.key === settings?.evMargin);
+  const villain = { aggression: getVillainModel(state.opponentArchetype)?.aggression };
+  const first = dealStreetAction(state, rngFor(0), villain);
+  if (!margin || margin.key === "any") {
+    return first;
+  }
+
+  const roundIndex = state.streetIndex;
+  const boardCards = fullBoard.slice(0, BOARD_SIZE_BY_ROUND[roundIndex] ?? 0);
+  const tried = new Set();
+  let closest = null;
+  for (let attempt = 0; attempt < MARGIN_ATTEMPTS; attempt += 1) {
+    const scenario = attempt === 0 ? first : dealStreetAction(state, rngFor(attempt), villain);
+    if (tried.has(scenario.opponentAction)) continue;
+    tried.add(scenario.opponentAction);
+
+    const gap = measureEvGap({ heroCards, boardCards, roundIndex, scenario });
+    if (gap === null || margin.fits(gap)) {
+      return scenario;
+    }
+    const miss = margin.key === "close" ? gap : -gap;
+    if (!closest || miss < closest.miss) {
+      closest = { scenario, miss };
+    }
+  }
+  return closest ? closest.scenario : first;
+}
+
+function measureEvGap(spot) {
+  const payload = buildAnalysisScenario(spot, "Call");
+  if (!payload) return null;
+  const { metrics } = analyzeScenario(payload, "Call", { iterations: SCREENING_ITERATIONS });
+  const bestOther = Math.max(...(metrics?.alternatives || []).map((alternative) => Number(alternative.ev)));
+  const bigBlind = Number(spot.scenario.bigBlind) || 1;
+  if (!Number.isFinite(Number(metrics?.optimalEV)) || !Number.isFinite(bestOther)) return null;
+  return (Number(metrics.optimalEV) - bestOther) / bigBlind;
+}
@@ -0,0 +1,88 @@
+/**
+ * Poker Decision Trainer – Equity Calibration
+ * Compares the player's equity estimates with the engine's equity by hand class and street.
+*/
+
+import { classifySpot } from "./leakFinder";
+
+// Average misses smaller than this many points count as well calibrated.
+const CALIBRATED_WITHIN = 3;
+const BUCKET_SIZE = 10;
+
+export function parseEquityEstimate(text) {
+  const value = parseFloat(String(text || "").replace("%", ""));
+  return Number.isFinite(value) && value >= 0 && value <= 100 ? value : null;
+}
+
+/**
+ * Builds the calibration report from saved decisions that carry both an
+ * `equityEstimate` and the engine's `heroEquity`. Groups come three ways (hand
+ * class on a street, hand class, street), costliest bias first, plus a
+ * calibration curve: for each 10-point band of estimates, how much equity those
+ * spots really had.
+ */
+export function buildCalibrationReport(records = []) {
+  const estimated = records.filter(
+    (record) => Number.isFinite(record.equityEstimate) && Number.isFinite(Number(record.heroEquity))
+  );
+  const groups = { byHandAndStreet: new Map(), byHand: new Map(), byStreet: new Map() };
+  const buckets = new Map();
+
+  estimated.forEach((record) => {
+    const { handClass } = classifySpot(record);
+    const street = record.street || "preflop";
+    addToGroup(groups.byHandAndStreet, `${handClass} on the ${street}`, record);
+    addToGroup(groups.byHand, handClass, record);
+    addToGroup(groups.byStreet, street, record);
+    const bucketStart = Math.min(90, Math.floor(record.equityEstimate / BUCKET_SIZE) * BUCKET_SIZE);
+    addToGroup(buckets, bucketStart, record);
+  });
+
+  return {
+    estimates: estimated.length,
+    byHandAndStreet: finalizeGroups(groups.byHandAndStreet),
+    byHand: finalizeGroups(groups.byHand),
+    byStreet: finalizeGroups(groups.byStreet),
+    curve: Array.from(buckets.values())
+      .map((bucket) => ({
+        ...summarizeGroup(bucket),
+        from: bucket.label,
+        to: bucket.label + BUCKET_SIZE,
+      }))
+      .sort((a, b) => a.from - b.from),
+  };
+}
+
+export function describeBias(bias) {
+  if (Math.abs(bias) < CALIBRATED_WITHIN) return "well calibrated";
+  return `${bias > 0 ? "overrated" : "underrated"} by ${Math.abs(bias).toFixed(1)} points`;
+}
+
+function addToGroup(map, label, record) {
+  const group = map.get(label) || { label, records: [] };
+  group.records.push(record);
+  map.set(label, group);
+}
+
+function summarizeGroup({ label, records }) {
+  const averageEstimate = average(records.map((record) => record.equityEstimate));
+  const averageActual = average(records.map((record) => Number(record.heroEquity)));
+  return {
+    label,
+    count: records.length,
+    averageEstimate,
+    averageActual,
+    bias: averageEstimate - averageActual,
+    meanAbsError: average(records.map((record) => Math.abs(record.equityEstimate - Number(record.heroEquity)))),
+  };
+}
+
+function finalizeGroups(map) {
+  return Array.from(map.values())
+    .map(summarizeGroup)
+    .sort((a, b) => Math.abs(b.bias) - Math.abs(a.bias) || b.count - a.count);
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
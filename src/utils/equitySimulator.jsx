@@ -0,0 +1,421 @@
+/**
+ * Poker Decision Trainer – Equity Simulator
+ * Measures hero equity against villain ranges: exactly on the turn/river when the combinations
+ * are few enough to walk (always heads-up), and by sampling otherwise.
+*/
+
+import { cardCodeToIndex, evaluateCardIndices } from "./handEvaluator";
+
+export const DEFAULT_SIMULATION_ITERATIONS = 5000;
+
+// z-score for a 95% confidence interval around the sampled equity.
+const CONFIDENCE_Z = 1.96;
+// Most showdowns an exact enumeration may score before sampling is used instead.
+const ENUMERATION_BUDGET = 150000;
+// Fresh deals tried per trial before a trial whose ranges keep colliding is dropped.
+const MAX_DEAL_ATTEMPTS = 50;
+
+/**
+ * Picks the equity method for the street: exhaustive enumeration once four or
+ * more board cards are known and the villain combos times the runouts fit the
+ * enumeration budget – every heads-up pot, and multi-way pots on the river or
+ * with narrow ranges – otherwise Monte Carlo sampling. A turn or river spot that
+ * had to be sampled comes back flagged `tooManyToEnumerate`.
+ */
+export function calculateEquity(options = {}) {
+  const boardCount = (options.boardCards || []).filter(Boolean).length;
+  if (boardCount < 4) return simulateEquity(options);
+  const villainCount = resolveVillainRanges(options).length;
+  if (villainCount === 1 || countShowdowns(options) <= ENUMERATION_BUDGET) {
+    return enumerateEquity(options);
+  }
+  return { ...simulateEquity(options), tooManyToEnumerate: true };
+}
+
+/**
+ * Runs a Monte Carlo simulation of hero vs. one or more villains.
+ *
+ * Pass `villainRange` (a list of `{ cards: [code, code], weight }` combos) for a
+ * single opponent or `villainRanges` (one such list per opponent) for multi-way
+ * pots; a missing or empty range deals that villain a random holding. Villains
+ * with a range always hold a hand from it: when their combos collide the whole
+ * deal is redrawn, and a trial that cannot be dealt is dropped rather than
+ * counted. A range whose every combo is blocked by the hero's cards or the board
+ * falls back to random holdings and flags the result `rangeBlocked`. Returns
+ * percentages for win (outright) / tie (split) / lose plus the standard error
+ * and 95% margin on overall equity. Combos tagged with a `group`
+ * also add `groups` – showdowns and pot shares per combination of seat groups –
+ * so `getReweightedEquity` can re-score the same runouts against part of a range.
+ */
+export function simulateEquity({
+  heroCards = [],
+  boardCards = [],
+  villainRange = null,
+  villainRanges = null,
+  iterations = DEFAULT_SIMULATION_ITERATIONS,
+  rng = Math.random,
+} = {}) {
+  const hero = heroCards.map(cardCodeToIndex).filter((index) => index >= 0);
+  const board = boardCards.map(cardCodeToIndex).filter((index) => index >= 0);
+  const ranges = resolveVillainRanges({ villainRange, villainRanges });
+  if (hero.length < 2 || board.length > 5 || hero.length + board.length + ranges.length * 2 + (5 - board.length) > 52) {
+    return createEmptyEquityResult();
+  }
+
+  const dead = new Set([...hero, ...board]);
+  const comboSets = ranges.map((range) => prepareVillainCombos(range, dead));
+  const deck = [];
+  for (let index = 0; index < 52; index += 1) {
+    if (!dead.has(index)) deck.push(index);
+  }
+
+  const boardNeeded = 5 - board.length;
+  const heroHand = new Array(7);
+  const villainHands = ranges.map(() => new Array(7));
+  const used = new Set();
+  let wins = 0;
+  let ties = 0;
+  let losses = 0;
+  let shareSum = 0;
+  let shareSquareSum = 0;
+  let samples = 0;
+  const groups = createGroupTally(comboSets);
+
+  for (let trial = 0; trial < iterations; trial += 1) {
+    const holdings = dealRangeSeats(comboSets, used, rng);
+    if (!holdings) continue;
+    samples += 1;
+    const stub = used.size > 0 ? deck.filter((index) => !used.has(index)) : deck.slice();
+    const randomSeats = holdings.filter((holding) => holding === null).length;
+    partialShuffle(stub, boardNeeded + randomSeats * 2, rng);
+
+    let cursor = 0;
+    for (let seat = 0; seat < holdings.length; seat += 1) {
+      const holding = holdings[seat]?.cards || [stub[cursor++], stub[cursor++]];
+      villainHands[seat][0] = holding[0];
+      villainHands[seat][1] = holding[1];
+    }
+    heroHand[0] = hero[0];
+    heroHand[1] = hero[1];
+    for (let i = 0; i < 5; i += 1) {
+      const card = i < board.length ? board[i] : stub[cursor++];
+      heroHand[i + 2] = card;
+      for (let seat = 0; seat < villainHands.length; seat += 1) {
+        villainHands[seat][i + 2] = card;
+      }
+    }
+
+    const heroScore = evaluateCardIndices(heroHand);
+    let bestVillain = -1;
+    let tiedVillains = 0;
+    for (let seat = 0; seat < villainHands.length; seat += 1) {
+      const score = evaluateCardIndices(villainHands[seat]);
+      if (score > bestVillain) {
+        bestVillain = score;
+        tiedVillains = score === heroScore ? 1 : 0;
+      } else if (score === bestVillain && score === heroScore) {
+        tiedVillains += 1;
+      }
+    }
+
+    let share = 0;
+    if (heroScore > bestVillain) {
+      wins += 1;
+      share = 1;
+    } else if (heroScore === bestVillain) {
+      ties += 1;
+      share = 1 / (tiedVillains + 1);
+    } else {
+      losses += 1;
+    }
+    shareSum += share;
+    shareSquareSum += share * share;
+    groups?.add(holdings.map((holding) => holding?.group), 1, share);
+  }
+
+  const result = summarizeOutcomes({ wins, ties, losses, shareSum, shareSquareSum, samples, groups });
+  return hasBlockedRange(ranges, comboSets) ? { ...result, rangeBlocked: true } : result;
+}
+
+/**
+ * Counts every combination of villain holdings against every remaining runout,
+ * for one or more opponents. Only practical with at most one card to come; each
+ * showdown counts with the product of the villains' combo weights, and split
+ * pots give the hero their share. Tagged combos add `groups`, and fully blocked
+ * ranges set `rangeBlocked`, as in `simulateEquity`.
+ */
+export function enumerateEquity({
+  heroCards = [],
+  boardCards = [],
+  villainRange = null,
+  villainRanges = null,
+} = {}) {
+  const hero = heroCards.map(cardCodeToIndex).filter((index) => index >= 0);
+  const board = boardCards.map(cardCodeToIndex).filter((index) => index >= 0);
+  if (hero.length < 2 || board.length < 4 || board.length > 5) {
+    return createEmptyEquityResult();
+  }
+
+  const dead = new Set([...hero, ...board]);
+  const ranges = resolveVillainRanges({ villainRange, villainRanges });
+  const comboSets = ranges.map((range) => prepareVillainCombos(range, dead));
+  const seatHoldings = comboSets.map((combos) => (combos ? combos.list : listAllHoldings(dead)));
+  const seatGroups = seatHoldings.map(() => undefined);
+  const groups = createGroupTally(comboSets);
+  const liveCards = [];
+  for (let index = 0; index < 52; index += 1) {
+    if (!dead.has(index)) liveCards.push(index);
+  }
+  const riverSlot = board.length === 4 ? 6 : -1;
+  const heroHand = riverSlot < 0 ? [...hero, ...board] : [...hero, ...board, -1];
+  const villainHands = seatHoldings.map(() => (riverSlot < 0 ? [-1, -1, ...board] : [-1, -1, ...board, -1]));
+  const used = new Set();
+
+  let wins = 0;
+  let ties = 0;
+  let losses = 0;
+  let shareSum = 0;
+  let runouts = 0;
+
+  const scoreShowdown = (weight) => {
+    const heroScore = evaluateCardIndices(heroHand);
+    let bestVillain = -1;
+    let tiedVillains = 0;
+    villainHands.forEach((hand) => {
+      const score = evaluateCardIndices(hand);
+      if (score > bestVillain) {
+        bestVillain = score;
+        tiedVillains = score === heroScore ? 1 : 0;
+      } else if (score === bestVillain && score === heroScore) {
+        tiedVillains += 1;
+      }
+    });
+    let share = 0;
+    if (heroScore > bestVillain) {
+      wins += weight;
+      share = 1;
+    } else if (heroScore === bestVillain) {
+      ties += weight;
+      share = 1 / (tiedVillains + 1);
+    } else {
+      losses += weight;
+    }
+    shareSum += weight * share;
+    groups?.add(seatGroups, weight, share);
+    runouts += 1;
+  };
+
+  const scoreRunouts = (weight) => {
+    if (riverSlot < 0) {
+      scoreShowdown(weight);
+      return;
+    }
+    liveCards.forEach((river) => {
+      if (used.has(river)) return;
+      heroHand[riverSlot] = river;
+      villainHands.forEach((hand) => {
+        hand[riverSlot] = river;
+      });
+      scoreShowdown(weight);
+    });
+  };
+
+  // Deals seat by seat, skipping holdings that share a card with an earlier villain.
+  const dealSeat = (seat, weight) => {
+    if (seat === seatHoldings.length) {
+      scoreRunouts(weight);
+      return;
+    }
+    seatHoldings[seat].forEach(({ cards, weight: comboWeight, group }) => {
+      if (used.has(cards[0]) || used.has(cards[1])) return;
+      used.add(cards[0]);
+      used.add(cards[1]);
+      seatGroups[seat] = group;
+      villainHands[seat][0] = cards[0];
+      villainHands[seat][1] = cards[1];
+      dealSeat(seat + 1, weight * comboWeight);
+      used.delete(cards[0]);
+      used.delete(cards[1]);
+    });
+  };
+  dealSeat(0, 1);
+
+  const total = wins + ties + losses;
+  if (total <= 0) return createEmptyEquityResult();
+  return {
+    win: (wins / total) * 100,
+    tie: (ties / total) * 100,
+    lose: (losses / total) * 100,
+    equity: (shareSum / total) * 100,
+    standardError: 0,
+    margin: 0,
+    samples: runouts,
+    method: "exact",
+    ...(groups ? { groups: groups.entries } : {}),
+    ...(hasBlockedRange(ranges, comboSets) ? { rangeBlocked: true } : {}),
+  };
+}
+
+/**
+ * Hero equity (%) over the same showdowns with each villain combo reweighted by
+ * `groupWeights[group]` (0–1) – e.g. only the part of a range that calls a raise.
+ * Every seat is reweighted, so multi-way pots assume all opponents continue.
+ * Results without `groups` return their plain equity.
+ */
+export function getReweightedEquity(equityResult, groupWeights = {}) {
+  const entries = equityResult?.groups;
+  if (!entries) return equityResult?.equity ?? 0;
+  let weightSum = 0;
+  let shareSum = 0;
+  Object.values(entries).forEach(({ seats, weight, share }) => {
+    const factor = seats.reduce((product, group) => product * (group === undefined ? 1 : groupWeights[group] ?? 1), 1);
+    weightSum += weight * factor;
+    shareSum += share * factor;
+  });
+  return weightSum > 0 ? (shareSum / weightSum) * 100 : equityResult.equity;
+}
+
+// Upper bound on the showdowns an exact enumeration would score (ignores card clashes between villains).
+function countShowdowns({ heroCards = [], boardCards = [], villainRange = null, villainRanges = null }) {
+  const dead = new Set(
+    [...heroCards, ...boardCards].map(cardCodeToIndex).filter((index) => index >= 0)
+  );
+  const riverCards = boardCards.filter(Boolean).length === 4 ? 52 - dead.size : 1;
+  return resolveVillainRanges({ villainRange, villainRanges }).reduce((product, range) => {
+    const combos = prepareVillainCombos(range, dead);
+    return product * (combos ? combos.list.length : ((52 - dead.size) * (51 - dead.size)) / 2);
+  }, riverCards);
+}
+
+function listAllHoldings(dead) {
+  const holdings = [];
+  for (let first = 0; first < 52; first += 1) {
+    if (dead.has(first)) continue;
+    for (let second = first + 1; second < 52; second += 1) {
+      if (dead.has(second)) continue;
+      holdings.push({ cards: [first, second], weight: 1 });
+    }
+  }
+  return holdings;
+}
+
+function summarizeOutcomes({ wins, ties, losses, shareSum, shareSquareSum, samples, groups = null }) {
+  if (samples <= 0) return createEmptyEquityResult();
+  const equity = shareSum / samples;
+  // Each trial scores its pot share (1, a split fraction or 0), so the variance comes from those shares.
+  const variance = Math.max(0, shareSquareSum / samples - equity * equity);
+  const standardError = Math.sqrt(variance / samples);
+
+  return {
+    win: (wins / samples) * 100,
+    tie: (ties / samples) * 100,
+    lose: (losses / samples) * 100,
+    equity: equity * 100,
+    standardError: standardError * 100,
+    margin: CONFIDENCE_Z * standardError * 100,
+    samples,
+    method: "monte-carlo",
+    ...(groups ? { groups: groups.entries } : {}),
+  };
+}
+
+export function createEmptyEquityResult() {
+  return {
+    win: 0,
+    tie: 0,
+    lose: 0,
+    equity: 0,
+    standardError: 0,
+    margin: 0,
+    samples: 0,
+    method: "none",
+  };
+}
+
+function prepareVillainCombos(villainRange, dead) {
+  if (!Array.isArray(villainRange) || villainRange.length === 0) return null;
+  const combos = [];
+  let totalWeight = 0;
+  villainRange.forEach((combo) => {
+    const cards = (combo?.cards || []).map(cardCodeToIndex);
+    const weight = Number(combo?.weight ?? 1);
+    if (cards.length !== 2 || cards.some((index) => index < 0 || dead.has(index))) return;
+    if (!(weight > 0)) return;
+    totalWeight += weight;
+    combos.push({ cards, weight, group: combo?.group, cumulative: totalWeight });
+  });
+  return combos.length > 0 ? { list: combos, totalWeight } : null;
+}
+
+// A seat was given a range but every combo in it shares a card with the hero or the board.
+function hasBlockedRange(ranges, comboSets) {
+  return ranges.some((range, seat) => Array.isArray(range) && range.length > 0 && !comboSets[seat]);
+}
+
+function resolveVillainRanges({ villainRange = null, villainRanges = null }) {
+  if (Array.isArray(villainRanges) && villainRanges.length > 0) return villainRanges;
+  return [villainRange];
+}
+
+// Deals every villain with a range a weighted combo from it, redrawing all of them whenever two
+// collide so the joint deal stays unbiased. Seats without a range get null (dealt randomly later);
+// returns null when no clean deal turns up, and the caller drops that trial.
+function dealRangeSeats(comboSets, used, rng) {
+  for (let attempt = 0; attempt < MAX_DEAL_ATTEMPTS; attempt += 1) {
+    used.clear();
+    let blocked = false;
+    const holdings = comboSets.map((combos) => {
+      if (!combos || blocked) return null;
+      const combo = pickWeightedCombo(combos, rng);
+      const { cards } = combo;
+      if (used.has(cards[0]) || used.has(cards[1])) {
+        blocked = true;
+        return null;
+      }
+      used.add(cards[0]);
+      used.add(cards[1]);
+      return combo;
+    });
+    if (!blocked) return holdings;
+  }
+  used.clear();
+  return null;
+}
+
+function pickWeightedCombo(combos, rng) {
+  const target = rng() * combos.totalWeight;
+  const { list } = combos;
+  let low = 0;
+  let high = list.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].cumulative > target) high = mid;
+    else low = mid + 1;
+  }
+  return list[low];
+}
+
+// Showdown weight and pot share per combination of seat groups, when any seat's combos carry a `group`.
+function createGroupTally(comboSets) {
+  if (!comboSets.some((combos) => combos?.list.some((combo) => combo.group !== undefined))) return null;
+  const entries = {};
+  return {
+    entries,
+    add(seats, weight, share) {
+      const key = seats.join("|");
+      const entry = entries[key] || (entries[key] = { seats: [...seats], weight: 0, share: 0 });
+      entry.weight += weight;
+      entry.share += weight * share;
+    },
+  };
+}
+
+// Fisher–Yates over only the first `count` slots – all the trial needs.
+function partialShuffle(cards, count, rng) {
+  for (let i = 0; i < count; i += 1) {
+    const j = i + Math.floor(rng() * (cards.length - i));
+    const temp = cards[i];
+    cards[i] = cards[j];
+    cards[j] = temp;
+  }
+}
@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { calculateEquity } from "./equitySimulator";
+import { expandRange } from "./rangeParser";
+
+describe("blocked villain ranges", () => {
+  // The hero and the board hold every ace, so no AA combo can be dealt.
+  const blocked = { heroCards: ["AS", "AH"], villainRange: expandRange("AA") };
+
+  it("flags an enumerated result", () => {
+    const result = calculateEquity({ ...blocked, boardCards: ["AD", "AC", "7H", "2S", "9D"] });
+    expect(result.method).toBe("exact");
+    expect(result.rangeBlocked).toBe(true);
+  });
+
+  it("flags a simulated result", () => {
+    const result = calculateEquity({ ...blocked, boardCards: ["AD", "AC", "7H"], iterations: 200 });
+    expect(result.rangeBlocked).toBe(true);
+  });
+
+  it("leaves a live range unflagged", () => {
+    const result = calculateEquity({ ...blocked, boardCards: ["KD", "QC", "7H", "2S", "9D"] });
+    expect(result.rangeBlocked).toBeUndefined();
+  });
+});
@@ -3,10 +3,16 @@
  * Evaluates optimal poker action using pot odds, equity, EV, and fold equity.
 */
 
-export const CARD_BACK_IMAGE = "https://deckofcardsapi.com/static/img/back.png";
+import { calculateEquity, getReweightedEquity } from "./equitySimulator";
+import { estimateFoldEquity, tagStrengthBuckets, weightBettingRange } from "./foldEquityModel";
+import { countCombos, expandRange } from "./rangeParser";
 
-export function analyzeScenario(scenario, userAction = "Call") {
-  return evaluateScenarioEV(scenario, userAction);
+/**
+ * Full EV analysis of a decision. `iterations` lowers the Monte Carlo sample
+ * count for quick screening; turn and river spots that enumerate stay exact.
+ */
+export function analyzeScenario(scenario, userAction = "Call", { iterations } = {}) {
+  return evaluateScenarioEV(scenario, userAction, { iterations });
 }
 
 export function getOutsDetail(heroCards = [], boardCards = []) {
@@ -76,13 +82,38 @@ function formatDollarDisplay(value) {
   return num.toFixed(2);
 }
 
+function formatComboCount(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0";
+  return Number.isInteger(num) ? String(num) : num.toFixed(1);
+}
+
 function formatPercentDisplay(value) {
   const num = Number(value);
   if (!Number.isFinite(num)) return "0.00%";
   return `${num.toFixed(2)}%`;
 }
 
-export function evaluateScenarioEV(scenario, userAction = "Call") {
+// Preflop ranges for the built-in villain archetypes.
+export const ARCHETYPE_RANGES = {
+  Nit: ["77+", "AJs+", "KQs", "AQo+"],
+  Default: ["55+", "A9s+", "KTs+", "QTs+", "JTs", "T9s", "ATo+", "KQo"],
+  LAG: [
+    "22+", "A2s+", "K7s+", "Q9s+", "J9s+", "T8s+", "98s", "87s", "76s",
+    "ATo+", "KTo+", "QTo+", "JTo"
+  ],
+  "Calling Station": ["22+", "A2s+", "K2s+", "Q5s+", "J7s+", "T7s+", "97s+", "A2o+", "K8o+", "Q9o+", "J9o+"]
+};
+
+/**
+ * Equity (%) needed to call: call ÷ (pot + bet + call).
+ */
+export function getRequiredEquity(pot, betSize, callAmount) {
+  const totalPotIfCall = pot + betSize + callAmount;
+  return totalPotIfCall > 0 ? (callAmount / totalPotIfCall) * 100 : 0;
+}
+
+export function evaluateScenarioEV(scenario, userAction = "Call", { iterations } = {}) {
   const gameState = scenario?.gameState ?? {};
   const heroState = scenario?.heroState ?? {};
   const opponentProfile = scenario?.opponentProfile ?? {};
@@ -95,34 +126,52 @@ export function evaluateScenarioEV(scenario, userAction = "Call") {
   const betSize = Number.isFinite(betSizeValue) ? betSizeValue : callAmount;
   const totalPotIfCall = pot + betSize + callAmount;
   const hasBetToCall = callAmount > 0;
+  // Effective stack is what the hero has behind before acting; 0 means "not tracked", so nothing is capped.
+  const effectiveStack = Math.max(Number(gameState.effectiveStack) || 0, 0);
+  const hasStackInfo = effectiveStack > 0;
+  const potBeforeAction = pot + betSize;
+  const spr = hasStackInfo && potBeforeAction > 0 ? effectiveStack / potBeforeAction : null;
+  const numOpponents = Math.max(1, Math.round(Number(gameState.numPlayers) || 2) - 1);
+  const playersBehind = hasBetToCall
+    ? Math.min(Math.max(Math.round(Number(gameState.playersBehind) || 0), 0), numOpponents - 1)
+    : 0;
   const potOddsRatio = totalPotIfCall > 0 ? callAmount / totalPotIfCall : 0;
 
   // -----------------------------
   // 1. Assign Opponent Range
   // -----------------------------
-  const archetypeRanges = {
-    Nit: ["77+", "AJs+", "KQs", "AQo+"],
-    Default: ["55+", "A9s+", "KTs+", "QTs+", "JTs", "T9s", "ATo+", "KQo"],
-    LAG: [
-      "22+", "A2s+", "K7s+", "Q9s+", "J9s+", "T8s+", "98s", "87s", "76s",
-      "ATo+", "KTo+", "QTo+", "JTo"
-    ],
-    "Calling Station": ["22+", "A2s+", "K2s+", "Q5s+", "J7s+", "T7s+", "97s+", "A2o+", "K8o+", "Q9o+", "J9o+"]
-  };
+  // Custom villains bring their own range and tendencies; built-in archetypes use ARCHETYPE_RANGES.
   const opponentArchetype = opponentProfile.archetype || "Default";
-  const opponentRange = archetypeRanges[opponentArchetype] || archetypeRanges.Default;
+  const opponentRange =
+    opponentProfile.range || ARCHETYPE_RANGES[opponentArchetype] || ARCHETYPE_RANGES.Default;
+  const opponentTendencies = opponentProfile.tendencies;
 
   // -----------------------------
   // 2. Estimate Hero Equity
   // -----------------------------
-  // Simple approximation – later replaced by Monte Carlo or equity API
+  // Exact enumeration on the turn/river when the villain combos are few enough, Monte Carlo otherwise;
+  // rule-of-2/4 is kept for comparison only.
   const heroCards = Array.isArray(heroState.holeCards)
     ? heroState.holeCards.filter(Boolean)
     : [];
   const boardCards = Array.isArray(gameState.communityCards)
     ? gameState.communityCards.filter(Boolean)
     : [];
-  const equity = approximateEquity(heroCards, boardCards); // %
+  const rangeCombos = expandRange(opponentRange, { deadCards: [...heroCards, ...boardCards] });
+  // Facing a bet from a villain with a known bluff frequency, that share of the betting range is air.
+  const bettingCombos =
+    hasBetToCall && Number.isFinite(opponentProfile.bluffFrequency)
+      ? weightBettingRange(rangeCombos, boardCards, opponentProfile.bluffFrequency)
+      : rangeCombos;
+  // Strength buckets let a called raise be scored against only the hands that continue.
+  const villainCombos = tagStrengthBuckets(bettingCombos, boardCards);
+  // Every opponent still in the hand draws independently from the same archetype range. When the
+  // hero's cards and the board block all of it, the full range goes in so the simulator flags it.
+  const seatRange = villainCombos.length > 0 ? villainCombos : expandRange(opponentRange);
+  const villainRanges = Array.from({ length: numOpponents }, () => seatRange);
+  const equityResult = calculateEquity({ heroCards, boardCards, villainRanges, iterations });
+  const equity = equityResult.equity; // %
+  const ruleOf4Equity = approximateEquity(heroCards, boardCards);
 
   const outsInfo = boardCards.length > 0 ? calculateOutsInfo(heroCards, boardCards) : createEmptyOutInfo();
   const outs = outsInfo.total;
@@ -130,7 +179,7 @@ export function evaluateScenarioEV(scenario, userAction = "Call") {
   // -----------------------------
   // 3. Compute Pot Odds & Required Equity
   // -----------------------------
-  const requiredEquity = totalPotIfCall > 0 ? (callAmount / totalPotIfCall) * 100 : 0;
+  const requiredEquity = getRequiredEquity(pot, betSize, callAmount);
 
   // -----------------------------
   // 4. EV Calculations
@@ -138,20 +187,96 @@ export function evaluateScenarioEV(scenario, userAction = "Call") {
   const winProb = equity / 100;
   const loseProb = 1 - winProb;
   const EV_fold = 0;
-  const winAmountCall = totalPotIfCall;
+  // Players left to act behind may overcall, which sweetens the pot the call is playing for.
+  const overcallModel =
+    playersBehind > 0
+      ? estimateFoldEquity({
+          villainCombos,
+          boardCards,
+          raiseSize: betSize,
+          potSize: pot,
+          archetype: opponentArchetype,
+          tendencies: opponentTendencies,
+        })
+      : null;
+  const overcallRate = overcallModel ? 1 - overcallModel.foldEquity : 0;
+  const expectedOvercalls = playersBehind * overcallRate * callAmount;
+  // Net of the call, like Check and Raise: a win collects what others put in, a loss costs the call.
+  const winAmountCall = potBeforeAction + expectedOvercalls;
   const loseAmountCall = callAmount;
   const EV_call = winProb * winAmountCall - loseProb * loseAmountCall;
+  const potIfCallWithOvercalls = winAmountCall + callAmount;
+  const multiwayRequiredEquity = potIfCallWithOvercalls > 0 ? (callAmount / potIfCallWithOvercalls) * 100 : 0;
   const EV_check = winProb * pot;
-  const foldEquity = estimateFoldEquity(opponentRange, boardCards);
-  const assumedRaiseSize = hasBetToCall ? betSize : Math.max(betSize || 0, pot * 0.75 || 1);
-  const EV_raise = foldEquity * (pot + assumedRaiseSize) - (1 - foldEquity) * assumedRaiseSize;
+  const canRaise = !hasStackInfo || effectiveStack > callAmount;
+
+  // Every candidate size is scored the same way: win the pot when all opponents fold,
+  // otherwise realise equity in a pot of pot + 2 × raise (the villain's bet is already in).
+  // That equity is re-scored against the hands that continue at this size, not the whole range.
+  const evaluateRaiseAmount = (amount) => {
+    const sizeFoldModel = estimateFoldEquity({
+      villainCombos,
+      boardCards,
+      raiseSize: amount,
+      potSize: potBeforeAction,
+      archetype: opponentArchetype,
+      tendencies: opponentTendencies,
+    });
+    // A raise only takes the pot down when every remaining opponent folds.
+    const sizeFoldThrough = Math.pow(sizeFoldModel.foldEquity, numOpponents);
+    const potWhenCalled = pot + amount * 2;
+    const calledEquity = getReweightedEquity(equityResult, sizeFoldModel.continueRates);
+    const evWhenCalled = (calledEquity / 100) * potWhenCalled - amount;
+    const stackAfter = hasStackInfo ? effectiveStack - amount : null;
+    return {
+      amount,
+      foldModel: sizeFoldModel,
+      foldEquity: sizeFoldModel.foldEquity,
+      foldThrough: sizeFoldThrough,
+      potWhenCalled,
+      calledEquity,
+      evWhenCalled,
+      ev: sizeFoldThrough * potBeforeAction + (1 - sizeFoldThrough) * evWhenCalled,
+      stackAfter,
+      isAllIn: hasStackInfo && amount >= effectiveStack,
+      // Less than half a pot left behind once called means folding later would waste too much of the stack.
+      commits: hasStackInfo && stackAfter <= potWhenCalled * 0.5,
+    };
+  };
+
+  const raiseOptions = canRaise
+    ? getRaiseSizeOptions({ potSize: pot, betSize, amountToCall: callAmount, effectiveStack })
+    : [];
+  const raiseCurve = raiseOptions.map((option) => ({ ...option, ...evaluateRaiseAmount(option.amount) }));
+  const requestedRaise = Number(currentDecision.raiseAmount);
+  let chosenRaise = null;
+  if (canRaise && requestedRaise > 0) {
+    const amount = clampRaiseAmount(requestedRaise, raiseOptions);
+    const preset = raiseCurve.find((option) => Math.abs(option.amount - amount) < 0.005);
+    chosenRaise = preset || { key: "custom", label: "Custom", ...evaluateRaiseAmount(amount) };
+  }
+  const bestRaise = [...raiseCurve, ...(chosenRaise ? [chosenRaise] : [])].reduce(
+    (best, option) => (!best || option.ev > best.ev ? option : best),
+    null
+  );
+  const headlineRaise = chosenRaise || bestRaise;
+  const foldModel = headlineRaise
+    ? headlineRaise.foldModel
+    : estimateFoldEquity({ villainCombos, boardCards, archetype: opponentArchetype, tendencies: opponentTendencies });
+  const foldEquity = headlineRaise ? headlineRaise.foldEquity : foldModel.foldEquity;
+  const foldThrough = headlineRaise ? headlineRaise.foldThrough : Math.pow(foldEquity, numOpponents);
+  const sizeEVLoss = chosenRaise && bestRaise ? Math.max(0, bestRaise.ev - chosenRaise.ev) : 0;
+
   const EVsRaw = { Fold: EV_fold };
   if (hasBetToCall) {
     EVsRaw.Call = EV_call;
   } else {
     EVsRaw.Check = EV_check;
   }
-  EVsRaw.Raise = EV_raise;
+  if (bestRaise) {
+    // The action is graded at its best size; the size itself is graded separately below.
+    EVsRaw.Raise = bestRaise.ev;
+  }
 
   const evDetails = [];
   evDetails.push({
@@ -171,14 +296,29 @@ export function evaluateScenarioEV(scenario, userAction = "Call") {
     evDetails.push({
       action: "Call",
       ev: EV_call,
-      explanation: "EV = win% × amount won − lose% × amount lost.",
+      explanation: "EV = win% × amount won − lose% × amount lost. Your own call comes back when you win, so only the pot and the bet count as winnings.",
       components: [
         { label: "Win %", value: winProb * 100, type: "percent" },
         { label: "Amount won when you hit", value: winAmountCall, type: "dollar" },
         { label: "Lose %", value: loseProb * 100, type: "percent" },
         { label: "Amount lost when you miss", value: loseAmountCall, type: "dollar" },
+        ...(playersBehind > 0
+          ? [
+              { label: "Players still to act", value: playersBehind, type: "raw" },
+              { label: "Overcall % per player", value: overcallRate * 100, type: "percent" },
+              { label: "Expected overcalls", value: expectedOvercalls, type: "dollar" },
+            ]
+          : []),
       ],
       line: callLine,
+      note:
+        playersBehind > 0
+          ? `Amount won includes $${formatDollarDisplay(expectedOvercalls)} of expected overcalls from ${playersBehind} player${
+              playersBehind > 1 ? "s" : ""
+            } behind, so the call needs ${formatPercentDisplay(multiwayRequiredEquity)} equity instead of ${formatPercentDisplay(
+              requiredEquity
+            )}.`
+          : undefined,
     });
   } else {
     const checkLine = `Check: EV = ${formatPercentDisplay(winProb * 100)} × $${formatDollarDisplay(
@@ -196,26 +336,59 @@ export function evaluateScenarioEV(scenario, userAction = "Call") {
     });
   }
 
-  const raiseWinAmount = pot + assumedRaiseSize;
-  const raiseLosePercentage = (1 - foldEquity) * 100;
-  const raiseLine = `Raise: EV = ${formatPercentDisplay(
-    foldEquity * 100
-  )} × $${formatDollarDisplay(raiseWinAmount)} − ${formatPercentDisplay(
-    raiseLosePercentage
-  )} × $${formatDollarDisplay(assumedRaiseSize)} = $${formatDollarDisplay(EV_raise)} (simplified)`;
-  evDetails.push({
-    action: "Raise",
-    ev: EV_raise,
-    explanation: "EV ≈ fold% × pot won − (1 − fold%) × amount risked (simplified model).",
-    components: [
-      { label: "Fold % (estimated)", value: foldEquity * 100, type: "percent" },
-      { label: "Pot captured when they fold", value: raiseWinAmount, type: "dollar" },
-      { label: "Continue %", value: raiseLosePercentage, type: "percent" },
-      { label: "Amount risked", value: assumedRaiseSize, type: "dollar" },
-    ],
-    line: raiseLine,
-    note: "Assumes opponents fold at the estimated rate and ignores post-raise runouts.",
-  });
+  if (headlineRaise) {
+    const raiseLabel = headlineRaise.isAllIn
+      ? `All-in for $${formatDollarDisplay(headlineRaise.amount)}`
+      : `Raise to $${formatDollarDisplay(headlineRaise.amount)}`;
+    const raiseLine = `${raiseLabel}: EV = ${formatPercentDisplay(
+      headlineRaise.foldThrough * 100
+    )} × $${formatDollarDisplay(potBeforeAction)} + ${formatPercentDisplay(
+      (1 - headlineRaise.foldThrough) * 100
+    )} × ($${formatDollarDisplay(headlineRaise.evWhenCalled)} at ${formatPercentDisplay(
+      headlineRaise.calledEquity
+    )} equity when called) = $${formatDollarDisplay(
+      headlineRaise.ev
+    )}`;
+    const sizeNote = chosenRaise
+      ? sizeEVLoss > 0.005
+        ? `Your ${chosenRaise.label} size gives up $${formatDollarDisplay(sizeEVLoss)} against the best size (${bestRaise.label}, $${formatDollarDisplay(bestRaise.amount)}).`
+        : `Your ${chosenRaise.label} size is the best size available.`
+      : `Best size: ${bestRaise.label} ($${formatDollarDisplay(bestRaise.amount)}).`;
+    evDetails.push({
+      action: "Raise",
+      ev: headlineRaise.ev,
+      explanation:
+        numOpponents > 1
+          ? `EV = fold-through% × current pot + call% × (equity when called × final pot − raise), where fold-through = fold%^${numOpponents} (all ${numOpponents} opponents fold).`
+          : "EV = fold% × current pot + call% × (equity when called × final pot − raise).",
+      components: [
+        { label: "Your size", value: chosenRaise ? `${chosenRaise.label} ($${formatDollarDisplay(chosenRaise.amount)})` : "—", type: "raw" },
+        { label: "Best size", value: `${bestRaise.label} ($${formatDollarDisplay(bestRaise.amount)})`, type: "raw" },
+        { label: "Fold % (estimated)", value: headlineRaise.foldEquity * 100, type: "percent" },
+        ...(numOpponents > 1
+          ? [{ label: `Fold-through (all ${numOpponents} fold)`, value: headlineRaise.foldThrough * 100, type: "percent" }]
+          : []),
+        { label: "Villain range that missed", value: headlineRaise.foldModel.buckets.air, type: "percent" },
+        { label: "Raise size vs pot", value: `${headlineRaise.foldModel.raiseToPot.toFixed(2)}×`, type: "raw" },
+        { label: "Pot captured when they fold", value: potBeforeAction, type: "dollar" },
+        { label: "Equity when called", value: headlineRaise.calledEquity, type: "percent" },
+        { label: "Final pot when called", value: headlineRaise.potWhenCalled, type: "dollar" },
+        { label: "Amount risked", value: headlineRaise.amount, type: "dollar" },
+        ...(hasStackInfo
+          ? [
+              { label: "Stack behind after raise", value: headlineRaise.stackAfter, type: "dollar" },
+              { label: "Commits you to the pot", value: headlineRaise.commits ? "Yes" : "No", type: "raw" },
+            ]
+          : []),
+      ],
+      line: raiseLine,
+      note: `${sizeNote} ${headlineRaise.foldModel.explanation}${
+        headlineRaise.isAllIn ? " An all-in runs out against the hands that call it." : " Ignores post-raise action."
+      } Equity when called is your ${formatPercentDisplay(headlineRaise.calledEquity)} against the hands that continue at this size, not the ${formatPercentDisplay(
+        winProb * 100
+      )} you hold against the whole range.`,
+    });
+  }
 
   // Determine the optimal action
   const optimalAction = Object.keys(EVsRaw).reduce((a, b) =>
@@ -237,19 +410,24 @@ export function evaluateScenarioEV(scenario, userAction = "Call") {
     heroEquity: equity.toFixed(2),
     EVs,
     optimalAction,
-    rangeSummary: opponentRange.join(", "),
+    rangeSummary: `${opponentProfile.rangeLabel || opponentRange.join(", ")}; ${formatComboCount(
+      countCombos(villainCombos)
+    )} live combos`,
+    equityMethodNote: describeEquityMethod(equityResult),
+    numOpponents,
+    raiseSizeNote: describeRaiseSizing(chosenRaise, bestRaise, sizeEVLoss),
     concept: getConcept(optimalAction)
   };
 
   const formatted = formatExplanation({
     ...result,
-    userAction,
     potOddsPercent: potOddsRatio * 100,
     evDetails,
     callAmount,
-    totalPotIfCall,
+    potBeforeAction,
   });
   const metrics = {
+    userAction,
     optimalAction,
     optimalEV: EVsRaw[optimalAction],
     alternatives: Object.entries(EVsRaw)
@@ -257,8 +435,25 @@ export function evaluateScenarioEV(scenario, userAction = "Call") {
       .map(([action, value]) => ({ action, ev: value })),
     requiredEquity,
     heroEquity: equity,
+    equityResult,
+    rangeCombos: countCombos(villainCombos),
     foldEquity: foldEquity * 100,
-    ruleOf4Equity: equity,
+    foldThrough: foldThrough * 100,
+    effectiveStack,
+    spr,
+    raiseCurve: raiseCurve.map(stripFoldModel),
+    bestRaise: bestRaise ? stripFoldModel(bestRaise) : null,
+    chosenRaise: chosenRaise ? stripFoldModel(chosenRaise) : null,
+    sizeEVLoss,
+    raiseSize: headlineRaise ? headlineRaise.amount : 0,
+    raiseCommits: Boolean(headlineRaise?.commits),
+    foldModel,
+    numOpponents,
+    playersBehind,
+    overcallRate: overcallRate * 100,
+    expectedOvercalls,
+    multiwayRequiredEquity,
+    ruleOf4Equity,
     outs,
     outsDetail: outsInfo,
     potOdds: potOddsRatio * 100,
@@ -483,9 +678,80 @@ function estimatePreflopEquity(heroCards = []) {
   return 41;
 }
 
-function estimateFoldEquity(range, board) {
-  // Assume 30–50% of hands miss the board; adjust by archetype
-  return 0.3; // 30% fold equity as baseline
+/**
+ * Candidate raise sizes as total chips put in this street ("raise to"). Facing a bet the
+ * multipliers apply to that bet; unopened pots use a quarter-pot minimum bet as the base.
+ * Every size is capped at the effective stack and sizes that reach it collapse into all-in.
+ */
+export function getRaiseSizeOptions({ potSize = 0, betSize = 0, amountToCall = 0, effectiveStack = 0 } = {}) {
+  const pot = Number(potSize) || 0;
+  const bet = Number(betSize) || 0;
+  const stack = Number(effectiveStack) || 0;
+  const facingBet = Number(amountToCall) > 0;
+  const base = facingBet ? bet : Math.max(pot * 0.25, 1);
+  const candidates = [
+    { key: "min", label: facingBet ? "Min-raise" : "Min-bet", amount: facingBet ? bet * 2 : base },
+    { key: "2.5x", label: "2.5x", amount: base * 2.5 },
+    { key: "3x", label: "3x", amount: base * 3 },
+    // A pot-sized raise calls first, then raises the size of the pot after the call.
+    { key: "pot", label: "Pot", amount: facingBet ? pot + bet * 3 : pot },
+  ];
+
+  const options = [];
+  candidates.forEach((candidate) => {
+    const amount = Math.round(candidate.amount * 100) / 100;
+    if (amount <= 0 || (stack > 0 && amount >= stack)) return;
+    if (options.some((option) => Math.abs(option.amount - amount) < 0.005)) return;
+    options.push({ ...candidate, amount });
+  });
+  if (stack > 0) {
+    options.push({ key: "allin", label: "All-in", amount: stack });
+  }
+  return options;
+}
+
+function clampRaiseAmount(amount, options) {
+  if (options.length === 0) return amount;
+  const minimum = options[0].amount;
+  const allIn = options.find((option) => option.key === "allin");
+  const capped = allIn ? Math.min(amount, allIn.amount) : amount;
+  return Math.max(capped, minimum);
+}
+
+function stripFoldModel({ foldModel, ...rest }) {
+  return { ...rest, foldExplanation: foldModel?.explanation ?? "" };
+}
+
+function describeRaiseSizing(chosenRaise, bestRaise, sizeEVLoss) {
+  if (!chosenRaise || !bestRaise) return "";
+  if (sizeEVLoss <= 0.005) {
+    return `**Raise sizing:** your ${chosenRaise.label} raise to $${formatDollarDisplay(
+      chosenRaise.amount
+    )} was the best size.`;
+  }
+  return `**Raise sizing:** you raised to $${formatDollarDisplay(chosenRaise.amount)} (${
+    chosenRaise.label
+  }, EV $${formatDollarDisplay(chosenRaise.ev)}); the best size was ${bestRaise.label} to $${formatDollarDisplay(
+    bestRaise.amount
+  )} (EV $${formatDollarDisplay(bestRaise.ev)}), a $${formatDollarDisplay(sizeEVLoss)} difference.`;
+}
+
+function describeEquityMethod(equityResult) {
+  if (!equityResult || equityResult.samples <= 0) return "no showdown data";
+  if (equityResult.rangeBlocked) {
+    return `${describeSamples(equityResult)}; your cards and the board block every combo in the villain range, so this is equity against random hands`;
+  }
+  return describeSamples(equityResult);
+}
+
+function describeSamples(equityResult) {
+  if (equityResult.method === "exact") {
+    return `exact enumeration of ${equityResult.samples} runouts`;
+  }
+  const sampled = `±${formatPercentDisplay(equityResult.margin)} over ${equityResult.samples} simulated runouts`;
+  return equityResult.tooManyToEnumerate
+    ? `${sampled} (too many multi-way combinations to enumerate exactly)`
+    : sampled;
 }
 
 function getConcept(action) {
@@ -504,12 +770,14 @@ function formatExplanation({
   EVs,
   optimalAction,
   rangeSummary,
+  equityMethodNote = "",
+  numOpponents = 1,
+  raiseSizeNote = "",
   concept,
-  userAction = "Call",
   potOddsPercent = 0,
   evDetails = [],
   callAmount = 0,
-  totalPotIfCall = 0,
+  potBeforeAction = 0,
 }) {
   const EVLines = Object.entries(EVs)
     .map(([act, val]) => `EV(${act}) = $${val}`)
@@ -522,7 +790,7 @@ function formatExplanation({
   const potOddsSummary =
     callAmount > 0
       ? `Pot odds: call $${formatDollarDisplay(callAmount)} to win $${formatDollarDisplay(
-          totalPotIfCall
+          potBeforeAction
         )}, which requires **${formatPercentDisplay(potOddsPercent)}** equity.`
       : "No one has bet yet, so checking keeps your investment at $0.";
 
@@ -532,15 +800,15 @@ function formatExplanation({
       : "falls short of";
 
   return `
-Your choice to **${userAction}** was **${
-    optimalAction.toLowerCase() === userAction.toLowerCase() ? "Optimal" : "Incorrect"
-  }**.
-
 **Primary Justification:**
 The optimal play was to **${optimalAction}**. ${potOddsSummary}
-Given the opponent's range (${rangeSummary}), your hand has approximately **${heroEquity}%** equity versus the required **${requiredEquity}%** to continue, so your current equity ${equityComparison} the threshold.
+${
+    numOpponents > 1
+      ? `Against ${numOpponents} opponents each drawing from this range (${rangeSummary}), your hand`
+      : `Given the opponent's range (${rangeSummary}), your hand`
+  } has approximately **${heroEquity}%** equity (${equityMethodNote}) versus the required **${requiredEquity}%** to continue, so your current equity ${equityComparison} the threshold.
 
-**EV Summary:**
+${raiseSizeNote ? `${raiseSizeNote}\n\n` : ""}**EV Summary:**
 ${EVLines}
 
 **EV formulas by action:**
@@ -553,5 +821,4 @@ This hand illustrates the principle of **${concept}**.
 
 export default {
   analyzeScenario,
-  CARD_BACK_IMAGE,
 };
@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { analyzeScenario } from "./evDecisionLogic";
+
+function riverSpot({ holeCards, board, pot, bet, stack = 0, numPlayers = 2 }) {
+  return {
+    gameState: { potSize: pot, effectiveStack: stack, communityCards: board, numPlayers, playersBehind: 0 },
+    heroState: { holeCards, position: "Button" },
+    opponentProfile: { archetype: "Default", position: "Big Blind" },
+    actionHistory: [],
+    currentDecision: { amountToCall: bet, betSize: bet },
+    metadata: { userAction: "Call" },
+  };
+}
+
+describe("call EV", () => {
+  it("is zero when equity exactly meets the price", () => {
+    // A royal flush on board splits every pot three ways: 33.3% equity against 100 / 300 to call.
+    const { metrics } = analyzeScenario(
+      riverSpot({ holeCards: ["2C", "3D"], board: ["AS", "KS", "QS", "JS", "0S"], pot: 100, bet: 100, numPlayers: 3 })
+    );
+    expect(metrics.heroEquity).toBeCloseTo(100 / 3, 6);
+    expect(metrics.requiredEquity).toBeCloseTo(100 / 3, 6);
+    expect(Number(metrics.evDetails.find((detail) => detail.action === "Call").ev)).toBeCloseTo(0, 6);
+  });
+
+  it("folds when equity falls short of the price", () => {
+    const { metrics } = analyzeScenario(
+      riverSpot({ holeCards: ["4S", "4H"], board: ["KD", "7C", "2H", "3S", "QD"], pot: 100, bet: 100, stack: 100 })
+    );
+    expect(metrics.heroEquity).toBeLessThan(metrics.requiredEquity);
+    const callEV = metrics.evDetails.find((detail) => detail.action === "Call").ev;
+    expect(callEV).toBeLessThan(0);
+    expect(metrics.optimalAction).toBe("Fold");
+  });
+});
+
+describe("raise EV", () => {
+  it("scores called raises against the hands that continue", () => {
+    // QQ under a king: the hands that call a big raise mostly beat it.
+    const { metrics } = analyzeScenario(
+      riverSpot({ holeCards: ["QS", "QH"], board: ["KD", "7C", "2H", "3S", "9D"], pot: 100, bet: 100, stack: 1000 })
+    );
+    const allIn = metrics.raiseCurve.find((option) => option.key === "allin");
+    expect(allIn.calledEquity).toBeLessThan(metrics.heroEquity);
+    expect(allIn.ev).toBeLessThan(metrics.evDetails.find((detail) => detail.action === "Call").ev);
+    expect(metrics.optimalAction).toBe("Call");
+  });
+});
+
+describe("all-in EV", () => {
+  it("combines fold equity with equity against the hands that call the shove", () => {
+    const { metrics } = analyzeScenario(
+      riverSpot({ holeCards: ["AS", "KD"], board: ["KH", "7C", "2H", "3S", "9D"], pot: 100, bet: 50, stack: 400 })
+    );
+    const allIn = metrics.raiseCurve.find((option) => option.key === "allin");
+    expect(allIn.isAllIn).toBe(true);
+    expect(allIn.potWhenCalled).toBe(100 + 400 * 2);
+    const expected =
+      allIn.foldThrough * 150 + (1 - allIn.foldThrough) * ((allIn.calledEquity / 100) * allIn.potWhenCalled - 400);
+    expect(allIn.ev).toBeCloseTo(expected, 6);
+    expect(allIn.calledEquity).toBeLessThan(metrics.heroEquity);
+  });
+});
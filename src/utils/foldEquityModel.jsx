@@ -0,0 +1,252 @@
+/**
+ * Poker Decision Trainer – Fold Equity Model
+ * Estimates how much of a villain range folds to a raise from board texture, raise size and archetype.
+*/
+
+import { cardCodeToIndex, evaluateCardIndices, getScoreCategory, HAND_CATEGORIES } from "./handEvaluator";
+
+// How far each archetype strays from a solid player's continuing frequencies.
+const ARCHETYPE_TENDENCIES = {
+  Nit: { marginal: 0.6, draw: 0.8, air: 0.01 },
+  Default: { marginal: 1, draw: 1, air: 0.05 },
+  LAG: { marginal: 1.1, draw: 1.1, air: 0.15 },
+  "Calling Station": { marginal: 1.6, draw: 1.3, air: 0.35 },
+};
+
+const STRENGTH_LABELS = {
+  strong: "strong made hands",
+  marginal: "weak showdown value",
+  draw: "draws",
+  air: "missed the board",
+};
+
+/**
+ * Reweights a villain range to the hands they bet with on this board: air makes
+ * up `bluffShare` (0–1) of the weight and everything else the rest, each part
+ * keeping its own proportions. Preflop, or when the range has no air or nothing
+ * but air, the range comes back unchanged.
+ */
+export function weightBettingRange(villainCombos = [], boardCards = [], bluffShare = 0) {
+  const board = boardCards.map(cardCodeToIndex).filter((index) => index >= 0);
+  if (board.length === 0) return villainCombos;
+
+  const share = Math.min(Math.max(bluffShare, 0), 1);
+  let airWeight = 0;
+  let valueWeight = 0;
+  const classified = villainCombos.map((combo) => {
+    const hole = (combo.cards || []).map(cardCodeToIndex);
+    const weight = Number(combo.weight) || 0;
+    const isAir = hole.length === 2 && hole.every((index) => index >= 0) && classifyHolding(hole, board) === "air";
+    if (isAir) airWeight += weight;
+    else valueWeight += weight;
+    return { combo, isAir, weight };
+  });
+  if (airWeight <= 0 || valueWeight <= 0) return villainCombos;
+
+  const total = airWeight + valueWeight;
+  const airScale = (share * total) / airWeight;
+  const valueScale = ((1 - share) * total) / valueWeight;
+  return classified.map(({ combo, isAir, weight }) => ({
+    ...combo,
+    weight: weight * (isAir ? airScale : valueScale),
+  }));
+}
+
+/**
+ * Tags each villain combo with its strength bucket (`group`: strong / marginal /
+ * draw / air) on this board, so equity results can be split by bucket and
+ * re-scored against the hands that continue (see `continueRates`).
+ */
+export function tagStrengthBuckets(villainCombos = [], boardCards = []) {
+  const board = boardCards.map(cardCodeToIndex).filter((index) => index >= 0);
+  return villainCombos.map((combo) => {
+    const hole = (combo.cards || []).map(cardCodeToIndex);
+    if (hole.length !== 2 || hole.some((index) => index < 0)) return combo;
+    return { ...combo, group: classifyHolding(hole, board) };
+  });
+}
+
+/**
+ * Buckets every villain combo into strong / marginal / draw / air against the
+ * board, then applies continue frequencies that shrink as the raise grows
+ * relative to the pot. Returns the weighted fold share (0–1) with the bucket
+ * breakdown and a sentence explaining where the number came from. Custom
+ * villains pass their own `tendencies` in place of the archetype's.
+ */
+export function estimateFoldEquity({
+  villainCombos = [],
+  boardCards = [],
+  raiseSize = 0,
+  potSize = 0,
+  archetype = "Default",
+  tendencies: customTendencies = null,
+} = {}) {
+  const board = boardCards.map(cardCodeToIndex).filter((index) => index >= 0);
+  const tendencies = customTendencies || ARCHETYPE_TENDENCIES[archetype] || ARCHETYPE_TENDENCIES.Default;
+  const raiseToPot = potSize > 0 ? raiseSize / potSize : 1;
+  const continueRates = getContinueRates(raiseToPot, tendencies, board.length);
+  const texture = describeBoardTexture(boardCards);
+
+  const buckets = { strong: 0, marginal: 0, draw: 0, air: 0 };
+  let totalWeight = 0;
+  villainCombos.forEach(({ cards, weight = 1, group }) => {
+    const hole = (cards || []).map(cardCodeToIndex);
+    if (hole.length !== 2 || hole.some((index) => index < 0) || !(weight > 0)) return;
+    buckets[group || classifyHolding(hole, board)] += weight;
+    totalWeight += weight;
+  });
+
+  if (totalWeight <= 0) {
+    return {
+      foldEquity: 0.3,
+      buckets,
+      continueRates,
+      texture,
+      raiseToPot,
+      explanation: "No live villain combos to model, so a 30% baseline fold rate is assumed.",
+    };
+  }
+
+  const continuing = Object.keys(buckets).reduce(
+    (sum, key) => sum + buckets[key] * continueRates[key],
+    0
+  );
+  const foldEquity = Math.min(Math.max(1 - continuing / totalWeight, 0), 1);
+  const shares = Object.fromEntries(
+    Object.entries(buckets).map(([key, value]) => [key, (value / totalWeight) * 100])
+  );
+
+  return {
+    foldEquity,
+    buckets: shares,
+    continueRates,
+    texture,
+    raiseToPot,
+    explanation: buildExplanation({ archetype, shares, texture, raiseToPot, foldEquity, isPreflop: board.length === 0 }),
+  };
+}
+
+/**
+ * Summarises what a board favours: flush potential, connectivity, pairing and height.
+ */
+export function describeBoardTexture(boardCards = []) {
+  const board = boardCards.map(cardCodeToIndex).filter((index) => index >= 0);
+  if (board.length === 0) {
+    return { label: "preflop", monotone: false, twoTone: false, paired: false, connected: false, highCard: null };
+  }
+
+  const suitCounts = [0, 0, 0, 0];
+  const ranks = new Set();
+  board.forEach((index) => {
+    suitCounts[index & 3] += 1;
+    ranks.add(index >> 2);
+  });
+  const maxSuit = Math.max(...suitCounts);
+  const sortedRanks = Array.from(ranks).sort((a, b) => a - b);
+  if (ranks.has(12)) sortedRanks.unshift(-1); // ace plays low for wheel draws
+  let connected = false;
+  for (let i = 0; i + 2 < sortedRanks.length; i += 1) {
+    if (sortedRanks[i + 2] - sortedRanks[i] <= 4) connected = true;
+  }
+
+  const monotone = maxSuit >= 3;
+  const twoTone = maxSuit === 2;
+  const paired = ranks.size < board.length;
+  const wetness = (monotone ? 2 : twoTone ? 1 : 0) + (connected ? 1 : 0);
+  let label = "dry";
+  if (wetness >= 2) label = "wet";
+  else if (wetness === 1) label = "semi-wet";
+
+  return {
+    label,
+    monotone,
+    twoTone,
+    paired,
+    connected,
+    highCard: Math.max(...sortedRanks) + 2,
+  };
+}
+
+function getContinueRates(raiseToPot, tendencies, boardCount) {
+  const clamp = (value, low, high) => Math.min(Math.max(value, low), high);
+  // Bigger raises give worse odds, so marginal hands and draws peel less often.
+  const marginal = clamp((0.75 - 0.35 * raiseToPot) * tendencies.marginal, 0.05, 0.95);
+  const draw = boardCount >= 5 ? tendencies.air : clamp((0.8 - 0.3 * raiseToPot) * tendencies.draw, 0.1, 0.95);
+  return {
+    strong: 0.97,
+    marginal,
+    draw,
+    air: tendencies.air,
+  };
+}
+
+function classifyHolding(hole, board) {
+  if (board.length === 0) return classifyPreflop(hole);
+
+  const holdingScore = evaluateCardIndices([...hole, ...board]);
+  const holdingCategory = getScoreCategory(holdingScore);
+  const boardCategory = board.length >= 2 ? getScoreCategory(evaluateCardIndices(board)) : HAND_CATEGORIES.HIGH_CARD;
+  const topBoardRank = Math.max(...board.map((index) => index >> 2));
+
+  if (holdingCategory > boardCategory) {
+    if (holdingCategory >= HAND_CATEGORIES.TWO_PAIR) return "strong";
+    if (holdingCategory === HAND_CATEGORIES.PAIR) {
+      const pairRank = ((holdingScore >> 16) & 0xf) - 1;
+      return pairRank >= topBoardRank ? "strong" : "marginal";
+    }
+  }
+
+  if (board.length < 5 && hasDraw(hole, board)) return "draw";
+  return "air";
+}
+
+function classifyPreflop(hole) {
+  const [highRank, lowRank] = hole.map((index) => index >> 2).sort((a, b) => b - a);
+  if (highRank === lowRank) return highRank >= 8 ? "strong" : "marginal";
+  if (highRank === 12 && lowRank >= 10) return "strong";
+  if (lowRank >= 8) return "marginal";
+  if ((hole[0] & 3) === (hole[1] & 3) && highRank - lowRank <= 2) return "draw";
+  return highRank === 12 ? "marginal" : "air";
+}
+
+function hasDraw(hole, board) {
+  const cards = [...hole, ...board];
+  const suitCounts = [0, 0, 0, 0];
+  cards.forEach((index) => {
+    suitCounts[index & 3] += 1;
+  });
+  const flushSuit = suitCounts.findIndex((count) => count === 4);
+  if (flushSuit >= 0 && hole.some((index) => (index & 3) === flushSuit)) return true;
+
+  let mask = 0;
+  cards.forEach((index) => {
+    mask |= 1 << ((index >> 2) + 1);
+  });
+  if (mask & (1 << 13)) mask |= 1; // ace-low
+  // Four consecutive ranks with both ends open.
+  for (let low = 1; low <= 9; low += 1) {
+    const window = 0xf << low;
+    if ((mask & window) === window) {
+      const usesHole = hole.some((index) => {
+        const bit = (index >> 2) + 1;
+        return bit >= low && bit < low + 4;
+      });
+      if (usesHole) return true;
+    }
+  }
+  return false;
+}
+
+function buildExplanation({ archetype, shares, texture, raiseToPot, foldEquity, isPreflop }) {
+  const largest = Object.entries(shares).sort((a, b) => b[1] - a[1])[0];
+  const boardText = isPreflop ? "before the flop" : `on this ${texture.label} board`;
+  const airLabel = isPreflop ? "weak holdings" : STRENGTH_LABELS.air;
+  const percent = (value) => `${value.toFixed(0)}%`;
+  return `${archetype} range ${boardText}: ${percent(shares.air)} ${airLabel}, ${percent(
+    shares.marginal
+  )} ${STRENGTH_LABELS.marginal}, ${percent(shares.draw)} ${STRENGTH_LABELS.draw}, ${percent(
+    shares.strong
+  )} ${STRENGTH_LABELS.strong} (mostly ${largest[0] === "air" ? airLabel : STRENGTH_LABELS[largest[0]]}). A raise of ${raiseToPot.toFixed(
+    2
+  )}× pot folds about ${percent(foldEquity * 100)} of it.`;
+}
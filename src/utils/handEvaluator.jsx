@@ -0,0 +1,331 @@
+/**
+ * Poker Decision Trainer – Hand Evaluator
+ * Scores 2–7 card holdings as a single comparable number using precomputed rank-mask tables.
+*/
+
+const RANK_CHARS = "23456789TJQKA";
+const SUIT_CHARS = "CDHS";
+const RANK_NAMES = ["Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten", "Jack", "Queen", "King", "Ace"];
+const RANK_PLURALS = ["Twos", "Threes", "Fours", "Fives", "Sixes", "Sevens", "Eights", "Nines", "Tens", "Jacks", "Queens", "Kings", "Aces"];
+
+// Category occupies the high bits so a plain numeric comparison ranks hands.
+const CATEGORY_SHIFT = 20;
+const MASK_COUNT = 1 << 13;
+
+export const HAND_CATEGORIES = {
+  HIGH_CARD: 0,
+  PAIR: 1,
+  TWO_PAIR: 2,
+  TRIPS: 3,
+  STRAIGHT: 4,
+  FLUSH: 5,
+  FULL_HOUSE: 6,
+  QUADS: 7,
+  STRAIGHT_FLUSH: 8,
+};
+
+export const HAND_CATEGORY_NAMES = [
+  "High Card",
+  "Pair",
+  "Two Pair",
+  "Three of a Kind",
+  "Straight",
+  "Flush",
+  "Full House",
+  "Four of a Kind",
+  "Straight Flush",
+];
+
+// Lookup tables keyed by a 13-bit rank mask (bit 0 = deuce … bit 12 = ace).
+const STRAIGHT_HIGH = new Int8Array(MASK_COUNT);
+const TOP_FIVE_PACKED = new Int32Array(MASK_COUNT);
+buildLookupTables();
+
+// Scratch buffers reused by every evaluation to keep simulations allocation-free.
+const rankCounts = new Uint8Array(13);
+const suitCounts = new Uint8Array(4);
+const suitMasks = new Int32Array(4);
+
+/**
+ * Converts a card code ("AS", "0H", "TD") into an index from 0–51.
+ * Rank lives in the upper bits (0 = deuce … 12 = ace), suit in the lower two.
+ */
+export function cardCodeToIndex(code) {
+  if (!code || typeof code !== "string" || code.length < 2) return -1;
+  const rankChar = code.charAt(0).toUpperCase();
+  const rank = RANK_CHARS.indexOf(rankChar === "0" ? "T" : rankChar);
+  const suit = SUIT_CHARS.indexOf(code.charAt(1).toUpperCase());
+  if (rank < 0 || suit < 0) return -1;
+  return rank * 4 + suit;
+}
+
+/**
+ * Inverse of cardCodeToIndex using the deckofcards convention ("0" for tens).
+ */
+export function indexToCardCode(index) {
+  if (!Number.isInteger(index) || index < 0 || index > 51) return "";
+  const rankChar = RANK_CHARS.charAt(index >> 2);
+  return `${rankChar === "T" ? "0" : rankChar}${SUIT_CHARS.charAt(index & 3)}`;
+}
+
+export function getScoreCategory(score) {
+  return score >> CATEGORY_SHIFT;
+}
+
+/**
+ * Scores the best hand available from 2–7 card indices.
+ * Higher scores win; equal scores split the pot. With fewer than five cards
+ * only pairs, trips and quads can register.
+ */
+export function evaluateCardIndices(cards) {
+  rankCounts.fill(0);
+  suitCounts.fill(0);
+  suitMasks.fill(0);
+  let rankMask = 0;
+
+  for (let i = 0; i < cards.length; i += 1) {
+    const rank = cards[i] >> 2;
+    const suit = cards[i] & 3;
+    rankCounts[rank] += 1;
+    suitCounts[suit] += 1;
+    suitMasks[suit] |= 1 << rank;
+    rankMask |= 1 << rank;
+  }
+
+  for (let suit = 0; suit < 4; suit += 1) {
+    if (suitCounts[suit] >= 5) {
+      const flushMask = suitMasks[suit];
+      const straightFlushHigh = STRAIGHT_HIGH[flushMask];
+      if (straightFlushHigh >= 0) {
+        return (HAND_CATEGORIES.STRAIGHT_FLUSH << CATEGORY_SHIFT) | ((straightFlushHigh + 1) << 16);
+      }
+      return (HAND_CATEGORIES.FLUSH << CATEGORY_SHIFT) | TOP_FIVE_PACKED[flushMask];
+    }
+  }
+
+  let quads = -1;
+  let tripsHigh = -1;
+  let tripsLow = -1;
+  let pairHigh = -1;
+  let pairLow = -1;
+  for (let rank = 12; rank >= 0; rank -= 1) {
+    const count = rankCounts[rank];
+    if (count === 4) {
+      quads = rank;
+    } else if (count === 3) {
+      if (tripsHigh < 0) tripsHigh = rank;
+      else if (tripsLow < 0) tripsLow = rank;
+    } else if (count === 2) {
+      if (pairHigh < 0) pairHigh = rank;
+      else if (pairLow < 0) pairLow = rank;
+    }
+  }
+
+  if (quads >= 0) {
+    return (
+      (HAND_CATEGORIES.QUADS << CATEGORY_SHIFT) |
+      ((quads + 1) << 16) |
+      kickers(rankMask & ~(1 << quads), 1, 1)
+    );
+  }
+
+  if (tripsHigh >= 0 && (tripsLow >= 0 || pairHigh >= 0)) {
+    const fillRank = Math.max(tripsLow, pairHigh);
+    return (HAND_CATEGORIES.FULL_HOUSE << CATEGORY_SHIFT) | ((tripsHigh + 1) << 16) | ((fillRank + 1) << 12);
+  }
+
+  const straightHigh = STRAIGHT_HIGH[rankMask];
+  if (straightHigh >= 0) {
+    return (HAND_CATEGORIES.STRAIGHT << CATEGORY_SHIFT) | ((straightHigh + 1) << 16);
+  }
+
+  if (tripsHigh >= 0) {
+    return (
+      (HAND_CATEGORIES.TRIPS << CATEGORY_SHIFT) |
+      ((tripsHigh + 1) << 16) |
+      kickers(rankMask & ~(1 << tripsHigh), 2, 1)
+    );
+  }
+
+  if (pairLow >= 0) {
+    return (
+      (HAND_CATEGORIES.TWO_PAIR << CATEGORY_SHIFT) |
+      ((pairHigh + 1) << 16) |
+      ((pairLow + 1) << 12) |
+      kickers(rankMask & ~(1 << pairHigh) & ~(1 << pairLow), 1, 2)
+    );
+  }
+
+  if (pairHigh >= 0) {
+    return (
+      (HAND_CATEGORIES.PAIR << CATEGORY_SHIFT) |
+      ((pairHigh + 1) << 16) |
+      kickers(rankMask & ~(1 << pairHigh), 3, 1)
+    );
+  }
+
+  return (HAND_CATEGORIES.HIGH_CARD << CATEGORY_SHIFT) | TOP_FIVE_PACKED[rankMask];
+}
+
+export function evaluateCardCodes(codes = []) {
+  const indices = codes.map(cardCodeToIndex).filter((index) => index >= 0);
+  if (indices.length < 2) return -1;
+  return evaluateCardIndices(indices);
+}
+
+/**
+ * Full evaluation for display: category, name (including "Royal Flush"),
+ * a readable description with kickers, the numeric strength score and the
+ * card codes that make up the best hand.
+ */
+export function describeHand(codes = []) {
+  const valid = codes.filter((code) => cardCodeToIndex(code) >= 0);
+  const indices = valid.map(cardCodeToIndex);
+  if (indices.length < 2) {
+    return {
+      category: HAND_CATEGORIES.HIGH_CARD,
+      handName: "High Card",
+      description: "High Card",
+      strength: -1,
+      bestCards: [],
+    };
+  }
+
+  const strength = evaluateCardIndices(indices);
+  const category = getScoreCategory(strength);
+  const ranks = unpackRanks(strength);
+  const handName =
+    category === HAND_CATEGORIES.STRAIGHT_FLUSH && ranks[0] === 12
+      ? "Royal Flush"
+      : HAND_CATEGORY_NAMES[category];
+
+  return {
+    category,
+    handName,
+    description: describeRanks(category, handName, ranks),
+    strength,
+    bestCards: selectBestCards(valid, indices, category, ranks),
+  };
+}
+
+function kickers(mask, count, startSlot) {
+  // TOP_FIVE_PACKED fills slots 0–4; shift into place and drop what does not fit.
+  const shifted = TOP_FIVE_PACKED[mask] >> (startSlot * 4);
+  const keepSlots = Math.min(count, 5 - startSlot);
+  const keepMask = ((1 << (keepSlots * 4)) - 1) << ((5 - startSlot - keepSlots) * 4);
+  return shifted & keepMask;
+}
+
+function unpackRanks(score) {
+  const ranks = [];
+  for (let slot = 0; slot < 5; slot += 1) {
+    const value = (score >> (16 - slot * 4)) & 0xf;
+    if (value > 0) ranks.push(value - 1);
+  }
+  return ranks;
+}
+
+function describeRanks(category, handName, ranks) {
+  const name = (rank) => RANK_NAMES[rank];
+  const plural = (rank) => RANK_PLURALS[rank];
+  const kickerText = (list) =>
+    list.length ? ` (${list.map((rank) => RANK_CHARS[rank]).join("-")} kicker${list.length > 1 ? "s" : ""})` : "";
+
+  switch (category) {
+    case HAND_CATEGORIES.STRAIGHT_FLUSH:
+      return handName === "Royal Flush" ? "Royal Flush" : `Straight Flush, ${name(ranks[0])} high`;
+    case HAND_CATEGORIES.QUADS:
+      return `Four of a Kind, ${plural(ranks[0])}${kickerText(ranks.slice(1))}`;
+    case HAND_CATEGORIES.FULL_HOUSE:
+      return `Full House, ${plural(ranks[0])} full of ${plural(ranks[1])}`;
+    case HAND_CATEGORIES.FLUSH:
+      return `Flush, ${name(ranks[0])} high`;
+    case HAND_CATEGORIES.STRAIGHT:
+      return `Straight, ${name(ranks[0])} high`;
+    case HAND_CATEGORIES.TRIPS:
+      return `Three of a Kind, ${plural(ranks[0])}${kickerText(ranks.slice(1))}`;
+    case HAND_CATEGORIES.TWO_PAIR:
+      return `Two Pair, ${plural(ranks[0])} and ${plural(ranks[1])}${kickerText(ranks.slice(2))}`;
+    case HAND_CATEGORIES.PAIR:
+      return `Pair of ${plural(ranks[0])}${kickerText(ranks.slice(1))}`;
+    default:
+      return `High Card, ${name(ranks[0])}${kickerText(ranks.slice(1))}`;
+  }
+}
+
+// Rebuilds the five cards behind a score straight from the encoded ranks – no subset search.
+function selectBestCards(codes, indices, category, ranks) {
+  const used = new Set();
+  const picked = [];
+  const take = (predicate, count) => {
+    for (let i = 0; i < indices.length && count > 0; i += 1) {
+      if (!used.has(i) && predicate(indices[i])) {
+        used.add(i);
+        picked.push(codes[i]);
+        count -= 1;
+      }
+    }
+  };
+
+  if (category === HAND_CATEGORIES.STRAIGHT || category === HAND_CATEGORIES.STRAIGHT_FLUSH) {
+    const flushSuit = category === HAND_CATEGORIES.STRAIGHT_FLUSH ? findFlushSuit(indices) : -1;
+    const high = ranks[0];
+    for (let offset = 0; offset < 5; offset += 1) {
+      const rank = high - offset < 0 ? 12 : high - offset; // wheel wraps to the ace
+      take((index) => index >> 2 === rank && (flushSuit < 0 || (index & 3) === flushSuit), 1);
+    }
+    return picked;
+  }
+
+  if (category === HAND_CATEGORIES.FLUSH) {
+    const flushSuit = findFlushSuit(indices);
+    ranks.forEach((rank) => take((index) => index >> 2 === rank && (index & 3) === flushSuit, 1));
+    return picked;
+  }
+
+  const groupSizes = {
+    [HAND_CATEGORIES.QUADS]: [4, 1],
+    [HAND_CATEGORIES.FULL_HOUSE]: [3, 2],
+    [HAND_CATEGORIES.TRIPS]: [3, 1, 1],
+    [HAND_CATEGORIES.TWO_PAIR]: [2, 2, 1],
+    [HAND_CATEGORIES.PAIR]: [2, 1, 1, 1],
+  }[category] || [1, 1, 1, 1, 1];
+
+  ranks.forEach((rank, slot) => take((index) => index >> 2 === rank, groupSizes[slot] ?? 1));
+  return picked;
+}
+
+function findFlushSuit(indices) {
+  const counts = [0, 0, 0, 0];
+  indices.forEach((index) => {
+    counts[index & 3] += 1;
+  });
+  return counts.findIndex((count) => count >= 5);
+}
+
+function buildLookupTables() {
+  for (let mask = 0; mask < MASK_COUNT; mask += 1) {
+    STRAIGHT_HIGH[mask] = findStraightHigh(mask);
+
+    let packed = 0;
+    let slot = 0;
+    for (let rank = 12; rank >= 0 && slot < 5; rank -= 1) {
+      if (mask & (1 << rank)) {
+        packed |= (rank + 1) << (16 - slot * 4);
+        slot += 1;
+      }
+    }
+    TOP_FIVE_PACKED[mask] = packed;
+  }
+}
+
+// Returns the rank index of the straight's top card, or -1. The wheel (A-5) reports 3 (the five).
+function findStraightHigh(mask) {
+  for (let high = 12; high >= 4; high -= 1) {
+    const window = 0x1f << (high - 4);
+    if ((mask & window) === window) return high;
+  }
+  const wheel = 0x100f; // A, 2, 3, 4, 5
+  if ((mask & wheel) === wheel) return 3;
+  return -1;
+}
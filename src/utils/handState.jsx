@@ -0,0 +1,238 @@
+/**
+ * Poker Decision Trainer – Hand State
+ * Keeps one table together across streets: pot, stacks, live opponents and pot-relative bet sizing.
+*/
+
+export const ROUND_STATES = ["preflop", "flop", "turn", "river"];
+export const HERO_POSITIONS = ["Button", "Cutoff", "Hijack", "Middle Position", "Small Blind", "Big Blind"];
+export const OPPONENT_POSITIONS = ["Under the Gun", "Middle Position", "Hijack", "Cutoff", "Button", "Small Blind", "Big Blind"];
+export const ARCHETYPES = ["Nit", "Default", "LAG", "Calling Station"];
+const BIG_BLINDS = [2, 5];
+
+// Villain actions sized as fractions of the current pot. The description keywords
+// ("checks", "half pot", "full pot", "all in", "limp") are what the rule-based hints read.
+const STREET_ACTIONS = [
+  {
+    key: "check",
+    potFraction: 0,
+    actionType: "check",
+    describe: () => "Everyone checks to you.",
+  },
+  {
+    key: "third",
+    potFraction: 1 / 3,
+    actionType: "bet",
+    describe: (amount) => `1 opponent bets $${formatAmount(amount)} (third pot).`,
+  },
+  {
+    key: "half",
+    potFraction: 0.5,
+    actionType: "bet",
+    describe: (amount) => `1 opponent bets $${formatAmount(amount)} (half pot).`,
+  },
+  {
+    key: "full",
+    potFraction: 1,
+    actionType: "bet",
+    describe: (amount) => `1 opponent bets $${formatAmount(amount)} (full pot).`,
+  },
+  {
+    key: "shove",
+    potFraction: Infinity,
+    actionType: "raise",
+    describe: () => "One opponent shoves all in.",
+  },
+];
+
+const PREFLOP_LIMP = {
+  key: "limp",
+  potFraction: 0.1,
+  actionType: "call",
+  describe: (amount, state) =>
+    `${Math.min(state.activeOpponents, 2)} opponent${state.activeOpponents > 1 ? "s" : ""} limp${
+      state.activeOpponents > 1 ? "" : "s"
+    } for $${formatAmount(amount)} and wait for your move.`,
+};
+
+/**
+ * Seats a fresh table: stakes, opponents, positions, archetype, starting pot and stacks.
+ *
+ * Difficulty options narrow the deal: `archetypes` to pick the villain from,
+ * `maxOpponents` (1 keeps every pot heads-up), and the first and last street
+ * indexes the hand is played on.
+ */
+export function createHandState(
+  rng = Math.random,
+  { archetypes = ARCHETYPES, maxOpponents = 5, firstStreetIndex = 0, lastStreetIndex = ROUND_STATES.length - 1 } = {}
+) {
+  const bigBlind = pick(rng, BIG_BLINDS);
+  const potSize = bigBlind * randomInt(rng, 5, 30);
+  const heroPosition = pick(rng, HERO_POSITIONS);
+  const villainPositions = OPPONENT_POSITIONS.filter((position) => position !== heroPosition);
+  const numOpponents = randomInt(rng, 1, Math.max(1, Math.min(5, maxOpponents)));
+
+  return {
+    streetIndex: firstStreetIndex,
+    lastStreetIndex,
+    bigBlind,
+    startingOpponents: numOpponents,
+    activeOpponents: numOpponents,
+    potSize,
+    heroStack: randomInt(rng, potSize + 40, potSize + 250),
+    villainStack: randomInt(rng, potSize + 40, potSize + 250),
+    heroPosition,
+    opponentPosition: pick(rng, villainPositions),
+    opponentArchetype: pick(rng, archetypes.length > 0 ? archetypes : ARCHETYPES),
+    history: [],
+    finished: false,
+    result: null,
+  };
+}
+
+export function getEffectiveStack(state) {
+  return Math.max(0, Math.min(state.heroStack, state.villainStack));
+}
+
+/**
+ * Deals the villain action for the current street and returns it in the scenario
+ * shape the trainer renders and `buildAnalysisScenario` reads.
+ *
+ * A villain with a known `aggression` (0–1, custom villains) bets or shoves that
+ * often and checks or limps otherwise; without one every action is equally likely.
+ */
+export function dealStreetAction(state, rng = Math.random, { aggression } = {}) {
+  const effectiveStack = getEffectiveStack(state);
+  const options = state.streetIndex === 0 ? [...STREET_ACTIONS, PREFLOP_LIMP] : STREET_ACTIONS;
+  const action = Number.isFinite(aggression) ? pickByAggression(rng, options, aggression) : pick(rng, options);
+  const rawAmount =
+    action.potFraction === Infinity ? effectiveStack : roundAmount(state.potSize * action.potFraction);
+  const amount = Math.min(rawAmount, effectiveStack);
+  const isAllIn = amount > 0 && amount >= effectiveStack;
+
+  return {
+    street: ROUND_STATES[state.streetIndex],
+    numOpponents: state.activeOpponents,
+    potSize: state.potSize,
+    effectiveStack,
+    bigBlind: state.bigBlind,
+    opponentAction: isAllIn && action.key !== "shove" ? "One opponent shoves all in." : action.describe(amount, state),
+    amountToCall: amount,
+    betSize: amount,
+    actionType: isAllIn ? "raise" : action.actionType,
+    opponentArchetype: state.opponentArchetype,
+    opponentPosition: state.opponentPosition,
+    heroPosition: state.heroPosition,
+  };
+}
+
+/**
+ * Describes a hand-picked villain bet the way dealt actions read: a check, the
+ * nearest pot-fraction label, or a shove once the bet covers the effective stack.
+ */
+export function describeVillainBet(potSize, amount, effectiveStack) {
+  if (amount <= 0) {
+    return { opponentAction: STREET_ACTIONS[0].describe(0), actionType: "check" };
+  }
+  if (amount >= effectiveStack) {
+    return { opponentAction: "One opponent shoves all in.", actionType: "raise" };
+  }
+  const ratio = potSize > 0 ? amount / potSize : 1;
+  const nearest = STREET_ACTIONS.filter((action) => action.actionType === "bet").reduce((best, action) =>
+    Math.abs(action.potFraction - ratio) < Math.abs(best.potFraction - ratio) ? action : best
+  );
+  return { opponentAction: nearest.describe(amount), actionType: "bet" };
+}
+
+/**
+ * Moves the table forward after the hero acts on `scenario`.
+ *
+ * Calls and raises put real chips in the pot and come off the stacks; opponents
+ * who fold leave the hand. `foldEquity` (0–1, per opponent) drives who folds to a
+ * raise and `overcallRate` (0–1) whether opponents other than the bettor stay in
+ * when the hero calls. The returned state is `finished` once the hero folds,
+ * wins uncontested, gets all in, or the action closes on the table's last street.
+ */
+export function applyHeroAction(state, scenario, { action, raiseAmount = 0, foldEquity = 0.3, overcallRate = 0.4 } = {}, rng = Math.random) {
+  const next = { ...state, history: [...state.history] };
+  const bet = Number(scenario?.betSize ?? 0);
+  const toCall = Number(scenario?.amountToCall ?? 0);
+  const facingBet = toCall > 0;
+  const street = ROUND_STATES[state.streetIndex];
+  const record = (entry) => next.history.push({ street, ...entry, potAfter: next.potSize });
+
+  if (action === "Fold") {
+    record({ action: "Fold", amount: 0 });
+    return { ...next, finished: true, result: "folded" };
+  }
+
+  if (action === "Raise") {
+    const amount = Math.min(Math.max(Number(raiseAmount) || 0, toCall), state.heroStack);
+    let callers = 0;
+    for (let seat = 0; seat < state.activeOpponents; seat += 1) {
+      if (rng() >= foldEquity) callers += 1;
+    }
+    next.potSize += bet + amount;
+    next.heroStack -= amount;
+    if (callers === 0) {
+      record({ action: "Raise", amount, callers });
+      return { ...next, activeOpponents: 0, finished: true, result: "won-uncontested" };
+    }
+    // Every caller matches the raise; the bettor's original bet is already counted.
+    next.potSize += amount * callers - (facingBet ? bet : 0);
+    next.villainStack -= amount;
+    next.activeOpponents = callers;
+    record({ action: "Raise", amount, callers });
+  } else if (facingBet) {
+    const call = Math.min(toCall, state.heroStack);
+    // The bettor stays in; everyone else either overcalls or folds out of the hand.
+    let overcallers = 0;
+    for (let seat = 1; seat < state.activeOpponents; seat += 1) {
+      if (rng() < overcallRate) overcallers += 1;
+    }
+    next.potSize += bet + call + bet * overcallers;
+    next.heroStack -= call;
+    next.villainStack -= bet;
+    next.activeOpponents = 1 + overcallers;
+    record({ action: "Call", amount: call, callers: overcallers });
+  } else {
+    record({ action: "Check", amount: 0 });
+  }
+
+  next.potSize = roundAmount(next.potSize);
+  next.heroStack = roundAmount(next.heroStack);
+  next.villainStack = roundAmount(next.villainStack);
+
+  if (next.heroStack <= 0 || next.villainStack <= 0) {
+    return { ...next, finished: true, result: "all-in" };
+  }
+  if (state.streetIndex >= (state.lastStreetIndex ?? ROUND_STATES.length - 1)) {
+    return { ...next, finished: true, result: "showdown" };
+  }
+  return { ...next, streetIndex: state.streetIndex + 1 };
+}
+
+function formatAmount(value) {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return "0.00";
+  return num.toFixed(2);
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function randomInt(rng, min, max) {
+  const low = Math.ceil(min);
+  const high = Math.floor(max);
+  return Math.floor(rng() * (high - low + 1)) + low;
+}
+
+function pickByAggression(rng, options, aggression) {
+  const passive = options.filter((action) => action.key === "check" || action.key === "limp");
+  const aggressive = options.filter((action) => !passive.includes(action));
+  return pick(rng, rng() < aggression ? aggressive : passive);
+}
+
+function pick(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
@@ -0,0 +1,211 @@
+/**
+ * Poker Decision Trainer – History Store
+ * Saves every graded decision with its full spot to IndexedDB so progress survives reloads.
+ * Writes that cannot reach IndexedDB wait in localStorage and sync in later.
+*/
+
+const DB_NAME = "poker-decision-trainer";
+const DB_VERSION = 2;
+const DECISION_STORE = "decisions";
+const REVIEW_STORE = "reviews";
+
+const PENDING_STORAGE_KEY = "pokerTrainer.pendingDecisions";
+
+// Review items fall back to memory when IndexedDB is unavailable (private windows, old browsers).
+const memoryReviews = new Map();
+let dbPromise = null;
+let syncPromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(DECISION_STORE)) {
+          const store = db.createObjectStore(DECISION_STORE, { keyPath: "id", autoIncrement: true });
+          store.createIndex("timestamp", "timestamp");
+        }
+        if (!db.objectStoreNames.contains(REVIEW_STORE)) {
+          db.createObjectStore(REVIEW_STORE, { keyPath: "spotKey" });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let another tab upgrade the schema instead of blocking it; the next call reopens.
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        dbPromise = Promise.resolve(db);
+        resolve(db);
+        // The store is reachable again, so decisions queued while it was not move in now.
+        syncPendingDecisions().catch(() => {});
+      };
+      // Another tab still holds the previous version open, so the upgrade waits for it to close.
+      // Until then decisions go to the pending queue; once the open succeeds later calls get the database.
+      request.onblocked = () => resolve(null);
+      // Without a database, decisions wait in the localStorage pending queue and review items stay in memory.
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function runTransaction(db, mode, work, storeName = DECISION_STORE) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = work(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function readPending() {
+  try {
+    return JSON.parse(globalThis.localStorage?.getItem(PENDING_STORAGE_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function writePending(records) {
+  try {
+    globalThis.localStorage?.setItem(PENDING_STORAGE_KEY, JSON.stringify(records));
+  } catch {
+    // Storage is full or unavailable; the record is lost rather than breaking the hand.
+  }
+}
+
+/**
+ * Stores one decision record and resolves with it, `id` included. Records hold
+ * the spot (hole cards, board, scenario, hand state) alongside the action, the
+ * best action and the EV given up; `timestamp` defaults to now. If IndexedDB
+ * cannot take the write, the record waits in localStorage for `syncPendingDecisions`.
+ */
+export async function saveDecision(record) {
+  const entry = { ...record, timestamp: record.timestamp ?? Date.now() };
+  const db = await openDatabase();
+  if (db) {
+    try {
+      const id = await runTransaction(db, "readwrite", (store) => store.add(entry));
+      return { ...entry, id };
+    } catch {
+      // Fall through to the pending queue.
+    }
+  }
+  const pending = { ...entry, id: `pending-${entry.timestamp}-${Math.random().toString(36).slice(2, 8)}` };
+  writePending([...readPending(), pending]);
+  return pending;
+}
+
+/**
+ * Moves decisions waiting in localStorage into IndexedDB. Resolves with the number
+ * synced; anything that still fails stays queued for the next attempt. Runs on
+ * load and whenever the database opens; overlapping calls share one run so no
+ * record is added twice.
+ */
+export function syncPendingDecisions() {
+  if (!syncPromise) {
+    syncPromise = movePendingDecisions().finally(() => {
+      syncPromise = null;
+    });
+  }
+  return syncPromise;
+}
+
+async function movePendingDecisions() {
+  const pending = readPending();
+  const db = await openDatabase();
+  if (!db || pending.length === 0) return 0;
+
+  const synced = new Set();
+  for (const record of pending) {
+    const { id: pendingId, ...entry } = record;
+    try {
+      await runTransaction(db, "readwrite", (store) => store.add(entry));
+      synced.add(pendingId);
+    } catch {
+      // Left in the queue for the next attempt.
+    }
+  }
+  // Re-read the queue: saves that fell back to it while this loop awaited must stay.
+  writePending(readPending().filter((record) => !synced.has(record.id)));
+  return synced.size;
+}
+
+/**
+ * Lists saved decisions, newest first, including any still waiting to sync.
+ */
+export async function listDecisions() {
+  const db = await openDatabase();
+  const stored = db ? await runTransaction(db, "readonly", (store) => store.getAll()) : [];
+  return [...(stored || []), ...readPending()].sort((a, b) => b.timestamp - a.timestamp);
+}
+
+export async function clearHistory() {
+  writePending([]);
+  const db = await openDatabase();
+  if (db) {
+    await runTransaction(db, "readwrite", (store) => store.clear());
+  }
+}
+
+/**
+ * Stores a review-queue item, replacing any earlier item for the same `spotKey`.
+ */
+export async function saveReviewItem(item) {
+  const db = await openDatabase();
+  if (!db) {
+    memoryReviews.set(item.spotKey, item);
+    return item;
+  }
+  await runTransaction(db, "readwrite", (store) => store.put(item), REVIEW_STORE);
+  return item;
+}
+
+export async function listReviewItems() {
+  const db = await openDatabase();
+  if (!db) return Array.from(memoryReviews.values());
+  return (await runTransaction(db, "readonly", (store) => store.getAll(), REVIEW_STORE)) || [];
+}
+
+/**
+ * Narrows records by street, band and action ("all" or empty leaves a field unfiltered).
+ */
+export function filterDecisions(records = [], { street = "all", band = "all", action = "all" } = {}) {
+  const matches = (value, wanted) => !wanted || wanted === "all" || value === wanted;
+  return records.filter(
+    (record) => matches(record.street, street) && matches(record.band, band) && matches(record.userAction, action)
+  );
+}
+
+/**
+ * Groups records into calendar weeks (starting Monday) with decisions, EV given up
+ * and the average loss per decision, newest week first.
+ */
+export function summarizeByWeek(records = []) {
+  const weeks = new Map();
+  records.forEach((record) => {
+    const weekStart = startOfWeek(record.timestamp);
+    const week = weeks.get(weekStart) || { weekStart, decisions: 0, evLoss: 0, evLossBB: 0, blunders: 0 };
+    week.decisions += 1;
+    week.evLoss += Number(record.evLoss) || 0;
+    week.evLossBB += Number(record.evLossBB) || 0;
+    if (record.band === "blunder") week.blunders += 1;
+    weeks.set(weekStart, week);
+  });
+  return Array.from(weeks.values())
+    .sort((a, b) => b.weekStart - a.weekStart)
+    .map((week) => ({ ...week, averageLossBB: week.decisions > 0 ? week.evLossBB / week.decisions : 0 }));
+}
+
+function startOfWeek(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - daysSinceMonday);
+  return date.getTime();
+}
@@ -0,0 +1,133 @@
+/**
+ * Poker Decision Trainer – Leak Finder
+ * Groups saved decisions into spot types and shows where EV is being lost.
+*/
+
+// Decisions in these bands count as accurate.
+export const ACCURATE_BANDS = ["best", "fine"];
+
+const HAND_TIPS = {
+  "ace-high": "Ace high wins more often than it looks against wide ranges, but it makes very few strong hands, so it rarely wants to call big bets.",
+  "high card": "Without a pair or draw you are relying on fold equity; pick bets where the villain folds often.",
+  pair: "One pair is a bluff-catcher against big bets. Compare your equity with the price instead of the hand name.",
+  "two pair or better": "Strong made hands usually want to build the pot. Folding them is almost always an expensive mistake.",
+  "flush draw": "Nine outs is roughly 35% with two cards to come. Flush draws can call small and medium bets and often raise as semi-bluffs.",
+  "straight draw": "Eight outs with both ends open is about 31% by the river. Gutshots have half that, so watch the price.",
+};
+
+const PRESSURE_TIPS = {
+  "facing all-in": "Against an all-in there is no fold equity and no future streets: call only when your equity beats the pot odds.",
+  "facing pot bet": "A pot-size bet asks for 33% equity. Marginal hands fall short of that more often than it feels.",
+  "checked to": "When checked to, betting for value or as a bluff often beats checking behind.",
+};
+
+const ARCHETYPE_TIPS = {
+  Nit: "Nits rarely bluff: give their bets credit and steal more when they check.",
+  LAG: "LAGs bet wide ranges, so bluff-catchers gain value and thin folds get expensive.",
+  "Calling Station": "Calling stations rarely fold: value bet thinner and cut back on bluffs.",
+};
+
+/**
+ * Names the spot type of one saved decision along four axes: hand class (from
+ * the hand name, draw and hole cards), the bet faced, villain archetype and
+ * street – e.g. "flush draw facing pot bet on the turn".
+ */
+export function classifySpot(record = {}) {
+  const handClass = getHandClass(record);
+  const pressure = getPressure(record.scenario);
+  const archetype = record.scenario?.opponentArchetype || "Default";
+  const street = record.street || record.scenario?.street || "preflop";
+  return {
+    handClass,
+    pressure,
+    archetype,
+    street,
+    byPressure: `${handClass} ${pressure} on the ${street}`,
+    byArchetype: `${handClass} vs ${archetype} on the ${street}`,
+  };
+}
+
+/**
+ * Builds the leak report: one entry per spot type with accuracy, EV given up and
+ * a tip, sorted so the most expensive leaks come first. Each record counts once
+ * in the "by bet faced" grouping and once in the "by opponent" grouping.
+ */
+export function buildLeakReport(records = []) {
+  const groups = { pressure: new Map(), archetype: new Map() };
+  records.forEach((record) => {
+    const spot = classifySpot(record);
+    addToGroup(groups.pressure, spot.byPressure, spot, record);
+    addToGroup(groups.archetype, spot.byArchetype, spot, record);
+  });
+  return {
+    byPressure: finalizeGroups(groups.pressure, (spot) => PRESSURE_TIPS[spot.pressure]),
+    byArchetype: finalizeGroups(groups.archetype, (spot) => ARCHETYPE_TIPS[spot.archetype]),
+  };
+}
+
+function addToGroup(map, label, spot, record) {
+  const group = map.get(label) || { label, spot, records: [] };
+  group.records.push(record);
+  map.set(label, group);
+}
+
+function finalizeGroups(map, pickSpotTip) {
+  return Array.from(map.values())
+    .map(({ label, spot, records }) => {
+      const accurate = records.filter((record) => ACCURATE_BANDS.includes(record.band)).length;
+      const evLoss = records.reduce((sum, record) => sum + (Number(record.evLoss) || 0), 0);
+      const evLossBB = records.reduce((sum, record) => sum + (Number(record.evLossBB) || 0), 0);
+      return {
+        label,
+        decisions: records.length,
+        accuracy: records.length > 0 ? (accurate / records.length) * 100 : 0,
+        evLoss,
+        evLossBB,
+        tip: buildTip(records, pickSpotTip(spot) || HAND_TIPS[spot.handClass] || ""),
+        records,
+      };
+    })
+    .sort((a, b) => b.evLossBB - a.evLossBB || b.decisions - a.decisions);
+}
+
+function buildTip(records, spotTip) {
+  const mistakes = new Map();
+  records.forEach((record) => {
+    if (ACCURATE_BANDS.includes(record.band) || !record.optimalAction) return;
+    const key = `${record.userAction}→${record.optimalAction}`;
+    mistakes.set(key, (mistakes.get(key) || 0) + 1);
+  });
+  const [worst] = Array.from(mistakes.entries()).sort((a, b) => b[1] - a[1]);
+  const pattern = worst
+    ? `You chose ${worst[0].split("→")[0]} where ${worst[0].split("→")[1]} was best in ${worst[1]} of ${records.length} spots. `
+    : "No costly mistakes here yet. ";
+  return `${pattern}${spotTip}`.trim();
+}
+
+function getHandClass({ handName = "", drawName = "", heroCards = [] }) {
+  const name = handName.toLowerCase();
+  const madeHandIsWeak = !name || name === "high card" || name === "pair";
+  if (madeHandIsWeak && drawName) {
+    if (drawName.includes("Flush")) return "flush draw";
+    if (drawName.includes("Straight")) return "straight draw";
+  }
+  if (name === "pair") return "pair";
+  if (name === "high card" || !name) {
+    const holdsAce = heroCards.some((card) => String(card?.code || "").charAt(0) === "A");
+    return holdsAce ? "ace-high" : "high card";
+  }
+  return "two pair or better";
+}
+
+function getPressure(scenario = {}) {
+  const bet = Number(scenario?.betSize ?? scenario?.amountToCall ?? 0);
+  const pot = Number(scenario?.potSize ?? 0);
+  const stack = Number(scenario?.effectiveStack ?? 0);
+  if (bet <= 0) return "checked to";
+  if (stack > 0 && bet >= stack) return "facing all-in";
+  if (scenario?.actionType === "call") return "facing a limp";
+  const ratio = pot > 0 ? bet / pot : 1;
+  if (ratio <= 0.4) return "facing small bet";
+  if (ratio <= 0.75) return "facing half-pot bet";
+  return "facing pot bet";
+}
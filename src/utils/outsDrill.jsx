@@ -0,0 +1,54 @@
+/**
+ * Poker Decision Trainer – Outs Drill
+ * Scores the outs a player clicks against the exact outs `getOutsDetail` finds, category by category.
+*/
+
+export const OUTS_CATEGORIES = [
+  { key: "flush", label: "Flush outs" },
+  { key: "straight", label: "Straight outs" },
+  { key: "rank", label: "Pair / Set outs" },
+];
+
+/**
+ * Compares picked card codes with the outs detail. Each category reports the outs
+ * found and missed; picks that are not outs at all are listed as `wrong`. The
+ * score is correct picks over every out plus every wrong pick, so both missing
+ * outs and over-counting cost points; a board with no outs and no picks scores 100.
+ */
+export function scoreOutsSelection(detail, pickedCodes = []) {
+  const picked = new Set(pickedCodes);
+  const outs = new Set(detail?.cards || []);
+  const correct = [...picked].filter((code) => outs.has(code));
+  const wrong = [...picked].filter((code) => !outs.has(code)).sort();
+  const missed = [...outs].filter((code) => !picked.has(code)).sort();
+  const denominator = outs.size + wrong.length;
+
+  return {
+    total: outs.size,
+    correct,
+    missed,
+    wrong,
+    byCategory: OUTS_CATEGORIES.map(({ key, label }) => {
+      const cards = detail?.categories?.[key] || [];
+      return {
+        key,
+        label,
+        total: cards.length,
+        found: cards.filter((code) => picked.has(code)),
+        missed: cards.filter((code) => !picked.has(code)),
+      };
+    }),
+    score: denominator > 0 ? (correct.length / denominator) * 100 : 100,
+  };
+}
+
+/**
+ * Grid marks for a scored drill: correct picks, missed outs and wrong picks.
+ */
+export function getOutsResultMarks(result) {
+  return {
+    ...Object.fromEntries(result.correct.map((code) => [code, "correct"])),
+    ...Object.fromEntries(result.missed.map((code) => [code, "missed"])),
+    ...Object.fromEntries(result.wrong.map((code) => [code, "wrong"])),
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Poker Decision Trainer – Pot Odds Quiz
+ * Quick-fire pot-odds and required-equity questions, graded with the EV engine's formula, with speed and accuracy trends.
+*/
+
+import { getRequiredEquity } from "./evDecisionLogic";
+
+const QUIZ_STORAGE_KEY = "pokerTrainer.quizResults";
+const MAX_STORED_RESULTS = 500;
+const BET_FRACTIONS = [0.25, 1 / 3, 0.5, 2 / 3, 0.75, 1, 1.5, 2];
+const QUESTION_KINDS = ["equity", "ratio"];
+
+export const QUIZ_TIME_LIMIT_MS = 10000;
+// Answers within this many percentage points of the required equity count as correct.
+export const QUIZ_TOLERANCE = 2;
+
+/**
+ * A pot between $20 and $300 facing a bet from a quarter pot to twice the pot.
+ * "equity" questions ask for the required equity in %, "ratio" questions for the
+ * pot odds as X:1 ((pot + bet) : call).
+ */
+export function createQuizQuestion(rng = Math.random) {
+  const potSize = 5 * (4 + Math.floor(rng() * 57));
+  const fraction = BET_FRACTIONS[Math.floor(rng() * BET_FRACTIONS.length)];
+  // Bets round to $5 like real chip stacks, so the math stays doable in your head.
+  const betSize = Math.max(5, Math.round((potSize * fraction) / 5) * 5);
+  return {
+    kind: QUESTION_KINDS[Math.floor(rng() * QUESTION_KINDS.length)],
+    potSize,
+    betSize,
+    amountToCall: betSize,
+    requiredEquity: getRequiredEquity(potSize, betSize, betSize),
+    potOddsRatio: (potSize + betSize) / betSize,
+  };
+}
+
+/**
+ * Reads a typed answer as the equity it implies: "25" or "25%" for equity
+ * questions; "3:1", "3 to 1" or "3" for ratio questions (X:1 means 1 ÷ (X + 1)).
+ * Returns null for anything unreadable.
+ */
+export function parseQuizAnswer(text, kind) {
+  const cleaned = String(text || "").trim().toLowerCase();
+  if (kind === "equity") {
+    const value = parseFloat(cleaned.replace("%", ""));
+    return Number.isFinite(value) ? value : null;
+  }
+  const match = cleaned.match(/^(\d+(?:\.\d+)?)\s*(?:(?::|to|\/)\s*(\d+(?:\.\d+)?))?$/);
+  if (!match) return null;
+  const ratio = Number(match[1]) / Number(match[2] || 1);
+  return Number.isFinite(ratio) && ratio >= 0 ? 100 / (ratio + 1) : null;
+}
+
+/**
+ * Grades one answer. Both question kinds are compared as equity against
+ * call ÷ (pot + bet + call); answers after the time limit count as misses.
+ */
+export function gradeQuizAnswer(question, answerText, elapsedMs, timeLimitMs = QUIZ_TIME_LIMIT_MS) {
+  const answerEquity = parseQuizAnswer(answerText, question.kind);
+  const timedOut = elapsedMs >= timeLimitMs;
+  const error = answerEquity === null ? null : Math.abs(answerEquity - question.requiredEquity);
+  return {
+    kind: question.kind,
+    potSize: question.potSize,
+    betSize: question.betSize,
+    requiredEquity: question.requiredEquity,
+    potOddsRatio: question.potOddsRatio,
+    answer: String(answerText || "").trim(),
+    answerEquity,
+    error,
+    timedOut,
+    correct: !timedOut && error !== null && error <= QUIZ_TOLERANCE,
+    elapsedMs: Math.min(elapsedMs, timeLimitMs),
+    timestamp: Date.now(),
+  };
+}
+
+export function listQuizResults() {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(QUIZ_STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Appends a graded answer (keeping the newest 500) and returns the updated list.
+ */
+export function saveQuizResult(result) {
+  const results = [...listQuizResults(), result].slice(-MAX_STORED_RESULTS);
+  try {
+    globalThis.localStorage?.setItem(QUIZ_STORAGE_KEY, JSON.stringify(results));
+  } catch {
+    // Storage is full or unavailable (private mode); the answer still counts for this quiz.
+  }
+  return results;
+}
+
+/**
+ * Accuracy (%) and average answer time (seconds) overall, for the last 20
+ * answers against the 20 before them, and per day for the last seven days played.
+ */
+export function summarizeQuizResults(results = []) {
+  const recent = results.slice(-20);
+  const previous = results.slice(-40, -20);
+  const days = new Map();
+  results.forEach((result) => {
+    const day = new Date(result.timestamp).setHours(0, 0, 0, 0);
+    days.set(day, [...(days.get(day) || []), result]);
+  });
+
+  return {
+    overall: summarize(results),
+    recent: summarize(recent),
+    previous: summarize(previous),
+    byDay: Array.from(days.entries())
+      .sort((a, b) => b[0] - a[0])
+      .slice(0, 7)
+      .map(([day, dayResults]) => ({ day, ...summarize(dayResults) })),
+  };
+}
+
+function summarize(results) {
+  if (results.length === 0) {
+    return { answered: 0, accuracy: 0, averageSeconds: 0 };
+  }
+  const correct = results.filter((result) => result.correct).length;
+  const totalMs = results.reduce((sum, result) => sum + (Number(result.elapsedMs) || 0), 0);
+  return {
+    answered: results.length,
+    accuracy: (correct / results.length) * 100,
+    averageSeconds: totalMs / results.length / 1000,
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * Poker Decision Trainer – Range Parser
+ * Turns standard range notation ("77+", "AJs+", "K9s-K6s", "AKo:0.5") into weighted hand combos.
+*/
+
+const RANK_ORDER = "23456789TJQKA";
+const SUITS = ["C", "D", "H", "S"];
+
+/**
+ * Parses range notation into weighted hand classes such as `{ hand: "AKs", weight: 1 }`.
+ * Accepts a comma-separated string or an array of tokens. A `:weight` suffix (0–1)
+ * sets the frequency for every class the token expands to. Tokens that cannot be
+ * read are reported in `invalidTokens` rather than throwing.
+ */
+export function parseRange(notation) {
+  const tokens = tokenize(notation);
+  const weights = new Map();
+  const invalidTokens = [];
+
+  tokens.forEach((rawToken) => {
+    const { body, weight } = splitWeight(rawToken);
+    const hands = body !== null && weight !== null ? expandToken(body) : null;
+    if (!hands || hands.length === 0) {
+      invalidTokens.push(rawToken);
+      return;
+    }
+    hands.forEach((hand) => weights.set(hand, weight));
+  });
+
+  const classes = Array.from(weights.entries()).map(([hand, weight]) => ({ hand, weight }));
+  return { classes, invalidTokens };
+}
+
+/**
+ * Expands range notation into concrete two-card combos (`{ cards, hand, weight }`),
+ * dropping any combo that uses one of `deadCards` (hero hole cards, board).
+ */
+export function expandRange(notation, { deadCards = [] } = {}) {
+  const { classes } = parseRange(notation);
+  const combos = [];
+  classes.forEach(({ hand, weight }) => {
+    if (weight <= 0) return;
+    expandHandClass(hand).forEach((cards) => {
+      combos.push({ cards, hand, weight });
+    });
+  });
+  return removeBlockedCombos(combos, deadCards);
+}
+
+export function removeBlockedCombos(combos = [], deadCards = []) {
+  const dead = new Set(deadCards.filter(Boolean).map(normalizeCode));
+  if (dead.size === 0) return combos;
+  return combos.filter(({ cards }) => !cards.some((code) => dead.has(normalizeCode(code))));
+}
+
+/**
+ * Total combo weight – e.g. a full-weight "AKs" counts 4, "AKo:0.5" counts 6.
+ */
+export function countCombos(combos = []) {
+  return combos.reduce((sum, combo) => sum + (Number(combo.weight) || 0), 0);
+}
+
+/**
+ * Lists the concrete card pairs for one hand class ("QQ", "AKs", "T9o") or exact combo ("AhKd").
+ */
+export function expandHandClass(hand) {
+  if (typeof hand !== "string") return [];
+  if (hand.length === 4) {
+    const first = toCardCode(hand.charAt(0), hand.charAt(1));
+    const second = toCardCode(hand.charAt(2), hand.charAt(3));
+    return first && second && first !== second ? [[first, second]] : [];
+  }
+
+  const high = hand.charAt(0);
+  const low = hand.charAt(1);
+  const suffix = hand.charAt(2);
+  const combos = [];
+  for (let i = 0; i < SUITS.length; i += 1) {
+    for (let j = 0; j < SUITS.length; j += 1) {
+      if (high === low && j <= i) continue;
+      if (high !== low && suffix === "s" && i !== j) continue;
+      if (high !== low && suffix === "o" && i === j) continue;
+      combos.push([toCardCode(high, SUITS[i]), toCardCode(low, SUITS[j])]);
+    }
+  }
+  return combos;
+}
+
+function tokenize(notation) {
+  const parts = Array.isArray(notation) ? notation : String(notation ?? "").split(",");
+  return parts
+    .flatMap((part) => String(part).split(/\s+/))
+    .map((token) => token.trim())
+    .filter(Boolean);
+}
+
+function splitWeight(token) {
+  const [body, weightText] = token.split(":");
+  if (weightText === undefined) return { body, weight: 1 };
+  const weight = Number(weightText);
+  if (!Number.isFinite(weight) || weight < 0 || weight > 1) return { body: null, weight: null };
+  return { body, weight };
+}
+
+function expandToken(token) {
+  if (/^[2-9TJQKA][cdhs][2-9TJQKA][cdhs]$/i.test(token)) {
+    const combo = formatExactCombo(token);
+    // "AhAh" names the same card twice, which no hand can hold.
+    return combo.slice(0, 2) === combo.slice(2) ? null : [combo];
+  }
+
+  const dash = token.split("-");
+  if (dash.length === 2) {
+    return expandDashToken(parseHandClass(dash[0]), parseHandClass(dash[1]));
+  }
+
+  const plus = token.endsWith("+");
+  const parsed = parseHandClass(plus ? token.slice(0, -1) : token);
+  if (!parsed) return null;
+  if (!plus) return withSuitedness(parsed);
+
+  if (parsed.high === parsed.low) {
+    const hands = [];
+    for (let rank = parsed.high; rank < RANK_ORDER.length; rank += 1) {
+      hands.push(`${RANK_ORDER[rank]}${RANK_ORDER[rank]}`);
+    }
+    return hands;
+  }
+
+  // "AJs+" keeps the top card and walks the kicker up to one below it.
+  const hands = [];
+  for (let kicker = parsed.low; kicker < parsed.high; kicker += 1) {
+    hands.push(...withSuitedness({ ...parsed, low: kicker }));
+  }
+  return hands;
+}
+
+function expandDashToken(start, end) {
+  if (!start || !end || start.suffix !== end.suffix) return null;
+
+  if (start.high === start.low && end.high === end.low) {
+    const hands = [];
+    const from = Math.min(start.high, end.high);
+    const to = Math.max(start.high, end.high);
+    for (let rank = from; rank <= to; rank += 1) {
+      hands.push(`${RANK_ORDER[rank]}${RANK_ORDER[rank]}`);
+    }
+    return hands;
+  }
+
+  // "K9s-K6s" shares the top card and spans the kicker range.
+  if (start.high !== end.high || start.high === start.low || end.high === end.low) return null;
+  const hands = [];
+  const from = Math.min(start.low, end.low);
+  const to = Math.max(start.low, end.low);
+  for (let kicker = from; kicker <= to; kicker += 1) {
+    hands.push(...withSuitedness({ ...start, low: kicker }));
+  }
+  return hands;
+}
+
+function parseHandClass(text) {
+  const match = /^([2-9TJQKA])([2-9TJQKA])([so]?)$/i.exec(text || "");
+  if (!match) return null;
+  const first = RANK_ORDER.indexOf(match[1].toUpperCase());
+  const second = RANK_ORDER.indexOf(match[2].toUpperCase());
+  const suffix = match[3].toLowerCase();
+  if (first === second && suffix) return null;
+  return {
+    high: Math.max(first, second),
+    low: Math.min(first, second),
+    suffix,
+  };
+}
+
+function withSuitedness({ high, low, suffix }) {
+  const base = `${RANK_ORDER[high]}${RANK_ORDER[low]}`;
+  if (high === low) return [base];
+  if (suffix) return [`${base}${suffix}`];
+  return [`${base}s`, `${base}o`];
+}
+
+function formatExplicitRank(rankChar) {
+  const upper = rankChar.toUpperCase();
+  return upper === "T" ? "0" : upper;
+}
+
+function formatExactCombo(token) {
+  return `${token.charAt(0).toUpperCase()}${token.charAt(1).toLowerCase()}${token
+    .charAt(2)
+    .toUpperCase()}${token.charAt(3).toLowerCase()}`;
+}
+
+// Card codes follow the deckofcards convention used across the app ("0" for tens).
+function toCardCode(rankChar, suitChar) {
+  if (!rankChar || !suitChar) return null;
+  return `${formatExplicitRank(rankChar)}${suitChar.toUpperCase()}`;
+}
+
+function normalizeCode(code) {
+  const upper = String(code).toUpperCase();
+  return upper.charAt(0) === "T" ? `0${upper.slice(1)}` : upper;
+}
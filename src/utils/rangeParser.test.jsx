@@ -0,0 +1,17 @@
+import { describe, expect, it } from "vitest";
+import { expandRange, parseRange } from "./rangeParser";
+
+describe("exact combos", () => {
+  it("accepts two different cards", () => {
+    const { classes, invalidTokens } = parseRange("AhKd");
+    expect(invalidTokens).toEqual([]);
+    expect(classes).toHaveLength(1);
+    expect(expandRange("AhKd")).toHaveLength(1);
+  });
+
+  it("rejects the same card twice", () => {
+    const { classes, invalidTokens } = parseRange("AhAh, ahAH, KK");
+    expect(invalidTokens).toEqual(["AhAh", "ahAH"]);
+    expect(classes.map((entry) => entry.hand)).toEqual(["KK"]);
+  });
+});
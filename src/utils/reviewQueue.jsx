@@ -0,0 +1,84 @@
+/**
+ * Poker Decision Trainer – Review Queue
+ * Schedules missed spots for review with the SM-2 spaced-repetition algorithm.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// SM-2 recall quality (0–5) for each EV-loss band; below 3 counts as a miss.
+const BAND_QUALITY = {
+  best: 5,
+  fine: 4,
+  inaccuracy: 2,
+  blunder: 0,
+};
+
+export function needsReview(band) {
+  return band === "inaccuracy" || band === "blunder";
+}
+
+/**
+ * Identifies a spot by the cards, street and pot so the same mistake repeated
+ * reschedules one queue item instead of piling up duplicates.
+ */
+export function getSpotKey(spot) {
+  const codes = (cards = []) => cards.map((card) => card?.code).filter(Boolean).join("");
+  return [codes(spot.heroCards), codes(spot.fullBoard), spot.roundIndex ?? 0, spot.scenario?.potSize ?? 0].join("|");
+}
+
+/**
+ * Starts a queue item for a missed spot, due for its first review tomorrow.
+ */
+export function createReviewItem(spot, band, now = Date.now()) {
+  return {
+    spotKey: getSpotKey(spot),
+    spot,
+    repetitions: 0,
+    interval: 1,
+    easeFactor: DEFAULT_EASE,
+    due: now + DAY_MS,
+    lastBand: band,
+    reviews: 0,
+    createdAt: now,
+  };
+}
+
+/**
+ * Applies one SM-2 step after the spot is replayed. A miss resets the streak and
+ * brings the spot back tomorrow, leaving the ease factor as it was; a good answer
+ * stretches the interval (1 day, 6 days, then interval × ease) and nudges the
+ * ease factor by the quality.
+ */
+export function scheduleReview(item, band, now = Date.now()) {
+  const quality = BAND_QUALITY[band] ?? 0;
+  let repetitions = 0;
+  let interval = 1;
+  let easeFactor = item.easeFactor;
+  if (quality >= 3) {
+    easeFactor = Math.max(MIN_EASE, item.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    repetitions = item.repetitions + 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(item.interval * easeFactor);
+  }
+
+  return {
+    ...item,
+    repetitions,
+    interval,
+    easeFactor,
+    due: now + interval * DAY_MS,
+    lastBand: band,
+    reviews: item.reviews + 1,
+    lastReviewedAt: now,
+  };
+}
+
+/**
+ * Items due by `now`, most overdue first.
+ */
+export function getDueItems(items = [], now = Date.now()) {
+  return items.filter((item) => item.due <= now).sort((a, b) => a.due - b.due);
+}
@@ -0,0 +1,63 @@
+/**
+ * Poker Decision Trainer – Speed Report
+ * Shows how decision time relates to accuracy and which spot types take longest.
+*/
+
+import { ACCURATE_BANDS, classifySpot } from "./leakFinder";
+
+const SPEED_BANDS = [
+  { key: "fast", label: "Under 3s", maxSeconds: 3 },
+  { key: "steady", label: "3–8s", maxSeconds: 8 },
+  { key: "slow", label: "Over 8s", maxSeconds: Infinity },
+];
+
+/**
+ * Builds the speed report from saved decisions that carry `decisionMs`:
+ * accuracy with and without the shot clock, accuracy by how long the decision
+ * took, and spot types (hand class against the bet faced on a street) slowest first.
+ */
+export function buildSpeedReport(records = []) {
+  const timed = records.filter((record) => Number.isFinite(record.decisionMs));
+  const byClock = [
+    summarize("With shot clock", timed.filter((record) => Number(record.shotClock) > 0)),
+    summarize("No shot clock", timed.filter((record) => !(Number(record.shotClock) > 0))),
+  ].filter((group) => group.decisions > 0);
+
+  const bySpeed = SPEED_BANDS.map((band, index) => {
+    const floor = index > 0 ? SPEED_BANDS[index - 1].maxSeconds : 0;
+    return summarize(
+      band.label,
+      timed.filter((record) => record.decisionMs / 1000 >= floor && record.decisionMs / 1000 < band.maxSeconds)
+    );
+  }).filter((group) => group.decisions > 0);
+
+  const spots = new Map();
+  timed.forEach((record) => {
+    const label = classifySpot(record).byPressure;
+    spots.set(label, [...(spots.get(label) || []), record]);
+  });
+
+  return {
+    decisions: timed.length,
+    byClock,
+    bySpeed,
+    bySpot: Array.from(spots.entries())
+      .map(([label, group]) => summarize(label, group))
+      .sort((a, b) => b.averageSeconds - a.averageSeconds),
+  };
+}
+
+function summarize(label, records) {
+  const count = records.length;
+  const accurate = records.filter((record) => ACCURATE_BANDS.includes(record.band)).length;
+  const totalMs = records.reduce((sum, record) => sum + record.decisionMs, 0);
+  const evLossBB = records.reduce((sum, record) => sum + (Number(record.evLossBB) || 0), 0);
+  return {
+    label,
+    decisions: count,
+    accuracy: count > 0 ? (accurate / count) * 100 : 0,
+    averageSeconds: count > 0 ? totalMs / count / 1000 : 0,
+    averageLossBB: count > 0 ? evLossBB / count : 0,
+    timeouts: records.filter((record) => record.timedOut).length,
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * Poker Decision Trainer – Spot Builder
+ * Turns hand-picked cards and table settings into playable spots, keeps a named spot library,
+ * and converts any spot into the scenario payload the EV engine reads.
+*/
+
+import { getCardByCode, shuffleDeck } from "./deckEngine";
+import { describeVillainBet, getEffectiveStack, ROUND_STATES } from "./handState";
+import { getVillainModel } from "./villainProfiles";
+
+const SPOT_LIBRARY_STORAGE_KEY = "pokerTrainer.spotLibrary";
+const BOARD_SIZE_BY_ROUND = [0, 3, 4, 5];
+const MAX_OPPONENTS = 6;
+
+// Post-flop order of action, first to last.
+export const POSTFLOP_ACTION_ORDER = ["Small Blind", "Big Blind", "Under the Gun", "Middle Position", "Hijack", "Cutoff", "Button"];
+
+export const DEFAULT_SPOT_FIELDS = {
+  name: "",
+  heroCards: [],
+  boardCards: [],
+  potSize: 20,
+  betSize: 10,
+  heroStack: 200,
+  villainStack: 200,
+  bigBlind: 2,
+  heroPosition: "Button",
+  opponentPosition: "Big Blind",
+  opponentArchetype: "Default",
+  numOpponents: 1,
+};
+
+function estimatePlayersBehind(scenario) {
+  const numOpponents = Number(scenario?.numOpponents ?? 1);
+  if (Number(scenario?.amountToCall ?? 0) <= 0 || numOpponents <= 1) {
+    return 0;
+  }
+  const heroIndex = POSTFLOP_ACTION_ORDER.indexOf(scenario.heroPosition);
+  const seatsAfterHero = heroIndex >= 0 ? POSTFLOP_ACTION_ORDER.length - 1 - heroIndex : 0;
+  // Everyone except the bettor could still be waiting to act after the hero.
+  return Math.min(numOpponents - 1, seatsAfterHero);
+}
+
+/**
+ * Builds the `evaluateScenarioEV` payload (game state, hero, villain profile,
+ * action history and the decision) for a spot: hole cards, the board visible on
+ * its street, and the scenario dealt or built for that street.
+ */
+export function buildAnalysisScenario(spot, userActionLabel, raiseAmount) {
+  const { scenario, roundIndex = 0 } = spot || {};
+  const heroCardCodes = (spot?.heroCards || []).map((card) => card?.code).filter(Boolean);
+  if (!scenario || heroCardCodes.length < 2) {
+    return null;
+  }
+
+  const amountToCallValue = Number(scenario.amountToCall ?? 0);
+  const betSizeValue =
+    scenario.betSize !== undefined
+      ? Number(scenario.betSize)
+      : amountToCallValue;
+
+  const visibleBoardCodes = (spot.boardCards || [])
+    .map((card) => card?.code)
+    .filter(Boolean);
+
+  const streetIndex = Math.min(roundIndex, ROUND_STATES.length - 1);
+  const street = ROUND_STATES[streetIndex];
+
+  const actionHistory = [
+    {
+      actor: "opponent",
+      street,
+      type: scenario.actionType || (amountToCallValue > 0 ? "bet" : "check"),
+      amount: betSizeValue,
+    },
+  ];
+
+  return {
+    gameState: {
+      potSize: Number(scenario.potSize ?? 0),
+      effectiveStack: Number(scenario.effectiveStack ?? 0),
+      communityCards: visibleBoardCodes,
+      numPlayers: Math.max(2, Number(scenario.numOpponents ?? 1) + 1),
+      playersBehind: estimatePlayersBehind(scenario),
+    },
+    heroState: {
+      holeCards: heroCardCodes,
+      position: scenario.heroPosition || "Button",
+    },
+    opponentProfile: {
+      position: scenario.opponentPosition || "Middle Position",
+      archetype: scenario.opponentArchetype || "Default",
+      ...getVillainModel(scenario.opponentArchetype),
+    },
+    actionHistory,
+    currentDecision: {
+      amountToCall: amountToCallValue,
+      betSize: betSizeValue,
+      raiseAmount: userActionLabel === "Raise" ? raiseAmount : undefined,
+    },
+    metadata: {
+      userAction: userActionLabel,
+    },
+  };
+}
+
+/**
+ * Lists what stops the builder fields from making a playable spot; empty when valid.
+ */
+export function validateSpotFields(fields) {
+  const errors = [];
+  const codes = [...fields.heroCards, ...fields.boardCards];
+  if (fields.heroCards.length !== 2) {
+    errors.push("Pick exactly two hole cards.");
+  }
+  if (!BOARD_SIZE_BY_ROUND.includes(fields.boardCards.length)) {
+    errors.push("The board needs 0 (preflop), 3 (flop), 4 (turn) or 5 (river) cards.");
+  }
+  if (new Set(codes).size !== codes.length || codes.some((code) => !getCardByCode(code))) {
+    errors.push("Every card must be a real card and used only once.");
+  }
+  if (!(Number(fields.potSize) > 0)) {
+    errors.push("The pot must be above zero.");
+  }
+  if (!(Number(fields.betSize) >= 0)) {
+    errors.push("The villain bet cannot be negative.");
+  }
+  if (!(Number(fields.heroStack) > 0) || !(Number(fields.villainStack) > 0)) {
+    errors.push("Both stacks must be above zero.");
+  }
+  if (!(Number(fields.bigBlind) > 0)) {
+    errors.push("The big blind must be above zero.");
+  }
+  const opponents = Number(fields.numOpponents);
+  if (!Number.isInteger(opponents) || opponents < 1 || opponents > MAX_OPPONENTS) {
+    errors.push(`Opponents must be a whole number from 1 to ${MAX_OPPONENTS}.`);
+  }
+  if (fields.heroPosition === fields.opponentPosition) {
+    errors.push("The hero and the villain cannot share a seat.");
+  }
+  return errors;
+}
+
+/**
+ * Builds a spot record from valid builder fields, in the same shape as saved
+ * decisions (hole cards, board, street, scenario and hand state), so it plays
+ * through the normal decision flow. Board cards the coach left out are dealt from
+ * a shuffle seeded by the picked cards, so the spot always runs out the same way.
+ */
+export function buildSpot(fields) {
+  const heroCards = fields.heroCards.map(getCardByCode);
+  const boardCards = fields.boardCards.map(getCardByCode);
+  const roundIndex = BOARD_SIZE_BY_ROUND.indexOf(boardCards.length);
+  const numOpponents = Number(fields.numOpponents);
+  const potSize = Number(fields.potSize);
+  const seed = `spot|${[...fields.heroCards, ...fields.boardCards].join("")}`;
+  const used = new Set([...fields.heroCards, ...fields.boardCards]);
+  const runout = shuffleDeck(seed)
+    .filter((card) => !used.has(card.code))
+    .slice(0, 5 - boardCards.length);
+
+  const handState = {
+    streetIndex: roundIndex,
+    bigBlind: Number(fields.bigBlind),
+    startingOpponents: numOpponents,
+    activeOpponents: numOpponents,
+    potSize,
+    heroStack: Number(fields.heroStack),
+    villainStack: Number(fields.villainStack),
+    heroPosition: fields.heroPosition,
+    opponentPosition: fields.opponentPosition,
+    opponentArchetype: fields.opponentArchetype,
+    history: [],
+    finished: false,
+    result: null,
+    seed,
+    spotName: fields.name.trim() || "Custom spot",
+  };
+  const effectiveStack = getEffectiveStack(handState);
+  const amount = Math.min(Number(fields.betSize), effectiveStack);
+
+  return {
+    street: ROUND_STATES[roundIndex],
+    roundIndex,
+    heroCards,
+    boardCards,
+    fullBoard: [...boardCards, ...runout],
+    scenario: {
+      street: ROUND_STATES[roundIndex],
+      numOpponents,
+      potSize,
+      effectiveStack,
+      bigBlind: handState.bigBlind,
+      ...describeVillainBet(potSize, amount, effectiveStack),
+      amountToCall: amount,
+      betSize: amount,
+      opponentArchetype: fields.opponentArchetype,
+      opponentPosition: fields.opponentPosition,
+      heroPosition: fields.heroPosition,
+    },
+    handState,
+  };
+}
+
+/**
+ * Saved spots as `{ name, fields, savedAt }`, sorted by name.
+ */
+export function listSavedSpots() {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(SPOT_LIBRARY_STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves the builder fields under their name, replacing a spot with the same name,
+ * and returns the updated library.
+ */
+export function saveSpotToLibrary(fields) {
+  const name = fields.name.trim();
+  const library = listSavedSpots()
+    .filter((entry) => entry.name !== name)
+    .concat({ name, fields: { ...fields, name }, savedAt: Date.now() })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  writeLibrary(library);
+  return library;
+}
+
+export function deleteSavedSpot(name) {
+  const library = listSavedSpots().filter((entry) => entry.name !== name);
+  writeLibrary(library);
+  return library;
+}
+
+function writeLibrary(library) {
+  try {
+    globalThis.localStorage?.setItem(SPOT_LIBRARY_STORAGE_KEY, JSON.stringify(library));
+  } catch {
+    // Storage is full or unavailable (private mode); the change is not kept.
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * Poker Decision Trainer – Spot Links
+ * Packs a decision point (cards, street, scenario, stacks) into a compact URL hash so it can be shared.
+*/
+
+import { getCardByCode } from "./deckEngine";
+import { describeVillainBet, ROUND_STATES } from "./handState";
+import { parseRange } from "./rangeParser";
+import { POSTFLOP_ACTION_ORDER, validateSpotFields } from "./spotBuilder";
+import { getVillainNames, listCustomVillains, validateVillainFields } from "./villainProfiles";
+
+const LINK_PREFIX = "#spot=";
+const LINK_VERSION = 1;
+const BOARD_SIZE_BY_ROUND = [0, 3, 4, 5];
+
+/**
+ * Encodes a spot record (and optionally the sender's graded answer) as a URL-safe
+ * token. Keys are one or two letters to keep links short:
+ * h/b hole and full board codes, r street index, p pot, c to call, k bet, e
+ * effective stack, bb big blind, n opponents, hp/op positions, ar archetype,
+ * t action type, o action text (only when it differs from the generated one),
+ * hs/vs stacks, so starting opponents, sd seed, nm spot name and a the answer.
+ * A custom villain travels with the link as cv (range hands plus aggression,
+ * fold-to-raise and bluff percentages), since the recipient may not have it saved.
+ */
+export function encodeSpot(spot, answer = null) {
+  const { scenario = {}, handState = null } = spot;
+  const codes = (cards = []) => cards.map((card) => card?.code).filter(Boolean).join("");
+  const potSize = Number(scenario.potSize ?? 0);
+  const amountToCall = Number(scenario.amountToCall ?? 0);
+  const effectiveStack = Number(scenario.effectiveStack ?? 0);
+  const payload = {
+    v: LINK_VERSION,
+    h: codes(spot.heroCards),
+    b: codes(spot.fullBoard || spot.boardCards),
+    r: spot.roundIndex ?? 0,
+    p: potSize,
+    c: amountToCall,
+    k: Number(scenario.betSize ?? amountToCall),
+    e: effectiveStack,
+    bb: Number(scenario.bigBlind ?? handState?.bigBlind ?? 1),
+    n: Number(scenario.numOpponents ?? 1),
+    hp: POSTFLOP_ACTION_ORDER.indexOf(scenario.heroPosition),
+    op: POSTFLOP_ACTION_ORDER.indexOf(scenario.opponentPosition),
+    ar: scenario.opponentArchetype || "Default",
+    t: scenario.actionType,
+    hs: handState?.heroStack ?? effectiveStack,
+    vs: handState?.villainStack ?? effectiveStack,
+    so: handState?.startingOpponents ?? scenario.numOpponents,
+  };
+  if (scenario.opponentAction !== describeVillainBet(potSize, amountToCall, effectiveStack).opponentAction) {
+    payload.o = scenario.opponentAction;
+  }
+  const villain = listCustomVillains().find((entry) => entry.name === payload.ar);
+  if (villain) {
+    payload.cv = { h: villain.hands, g: villain.aggression, f: villain.foldToRaise, b: villain.bluffFrequency };
+  }
+  if (handState?.seed) payload.sd = handState.seed;
+  if (handState?.spotName) payload.nm = handState.spotName;
+  if (answer) {
+    payload.a = {
+      m: answer.action,
+      x: answer.action === "Raise" ? answer.raiseAmount : undefined,
+      g: answer.band,
+      l: Math.round(Number(answer.evLossBB || 0) * 100) / 100,
+    };
+  }
+  return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Rebuilds `{ spot, answer }` from a token, or returns null when the token is
+ * damaged or does not describe a playable spot – the same checks the Spot Builder
+ * runs (real, unique cards; positive pot, stacks and big blind; 1–6 whole
+ * opponents) plus finite, non-negative bet, call and effective stack amounts,
+ * and a villain that is built in, carried in the link or saved on this device.
+ * An embedded custom villain comes back as `villain` for the caller to save
+ * (see `importSharedVillain`). The spot restarts at the shared street with the
+ * same pot, stacks and runout; earlier streets' actions are not kept.
+ */
+export function decodeSpot(token) {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(token));
+  } catch {
+    return null;
+  }
+  if (payload?.v !== LINK_VERSION) return null;
+
+  const heroCodes = splitCodes(payload.h);
+  const boardCodes = splitCodes(payload.b);
+  const roundIndex = Number(payload.r);
+  const heroPosition = POSTFLOP_ACTION_ORDER[payload.hp] || "Button";
+  const opponentPosition = POSTFLOP_ACTION_ORDER[payload.op] || "Middle Position";
+  const villain = payload.cv ? decodeVillain(payload.ar, payload.cv) : null;
+  if (
+    (payload.cv && !villain) ||
+    (!villain && !getVillainNames().includes(payload.ar))
+  ) {
+    return null;
+  }
+  if (
+    !Number.isInteger(roundIndex) ||
+    roundIndex < 0 ||
+    roundIndex >= ROUND_STATES.length ||
+    boardCodes.length < BOARD_SIZE_BY_ROUND[roundIndex] ||
+    ![payload.p, payload.c, payload.k, payload.e, payload.hs, payload.vs, payload.bb, payload.n].every(isAmount) ||
+    validateSpotFields({
+      heroCards: heroCodes,
+      boardCards: boardCodes,
+      potSize: payload.p,
+      betSize: payload.k,
+      heroStack: payload.hs,
+      villainStack: payload.vs,
+      bigBlind: payload.bb,
+      numOpponents: payload.n,
+      heroPosition,
+      opponentPosition,
+    }).length > 0
+  ) {
+    return null;
+  }
+
+  const heroCards = heroCodes.map(getCardByCode);
+  const fullBoard = boardCodes.map(getCardByCode);
+  const street = ROUND_STATES[roundIndex];
+  const scenario = {
+    street,
+    numOpponents: payload.n,
+    potSize: payload.p,
+    effectiveStack: payload.e,
+    bigBlind: payload.bb,
+    opponentAction: payload.o || describeVillainBet(payload.p, payload.c, payload.e).opponentAction,
+    amountToCall: payload.c,
+    betSize: payload.k,
+    actionType: payload.t,
+    opponentArchetype: payload.ar,
+    opponentPosition,
+    heroPosition,
+  };
+  const handState = {
+    streetIndex: roundIndex,
+    bigBlind: payload.bb,
+    startingOpponents: Number.isInteger(payload.so) && payload.so >= payload.n ? payload.so : payload.n,
+    activeOpponents: payload.n,
+    potSize: payload.p,
+    heroStack: payload.hs,
+    villainStack: payload.vs,
+    heroPosition,
+    opponentPosition,
+    opponentArchetype: payload.ar,
+    history: [],
+    finished: false,
+    result: null,
+    seed: payload.sd,
+    spotName: payload.nm || "Shared spot",
+  };
+  const answer = payload.a
+    ? { action: payload.a.m, raiseAmount: payload.a.x ?? null, band: payload.a.g, evLossBB: payload.a.l }
+    : null;
+
+  return {
+    spot: {
+      street,
+      roundIndex,
+      heroCards,
+      boardCards: fullBoard.slice(0, BOARD_SIZE_BY_ROUND[roundIndex]),
+      fullBoard,
+      scenario,
+      handState,
+    },
+    answer,
+    villain,
+  };
+}
+
+/**
+ * Full link to the spot on the current page, e.g. `https://host/#spot=eyJ2Ijox…`.
+ */
+export function buildSpotLink(spot, answer, href) {
+  return `${String(href).split("#")[0]}${LINK_PREFIX}${encodeSpot(spot, answer)}`;
+}
+
+/**
+ * Reads a shared spot from `location.hash`; null when the hash holds no spot link.
+ */
+export function readSpotLink(hash) {
+  if (!String(hash || "").startsWith(LINK_PREFIX)) return null;
+  return decodeSpot(hash.slice(LINK_PREFIX.length));
+}
+
+export function isSpotLink(hash) {
+  return String(hash || "").startsWith(LINK_PREFIX);
+}
+
+function decodeVillain(name, { h, g, f, b } = {}) {
+  const villain = { name, hands: Array.isArray(h) ? h : [], aggression: g, foldToRaise: f, bluffFrequency: b };
+  const numbers = [g, f, b].every((value) => typeof value === "number");
+  const hands = villain.hands.every((hand) => typeof hand === "string") && parseRange(villain.hands).invalidTokens.length === 0;
+  return numbers && hands && validateVillainFields(villain).length === 0 ? villain : null;
+}
+
+function isAmount(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function splitCodes(text = "") {
+  return String(text).match(/.{2}/g) || [];
+}
+
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(token) {
+  const binary = atob(String(token).replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
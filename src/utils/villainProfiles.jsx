@@ -0,0 +1,173 @@
+/**
+ * Poker Decision Trainer – Villain Profiles
+ * Custom villains built from a 13×13 preflop range grid and betting tendencies, saved locally
+ * and read by both the dealer and the EV engine.
+*/
+
+import { ARCHETYPE_RANGES } from "./evDecisionLogic";
+import { ARCHETYPES } from "./handState";
+import { expandHandClass, parseRange } from "./rangeParser";
+
+const CUSTOM_VILLAINS_STORAGE_KEY = "pokerTrainer.customVillains";
+const TOTAL_COMBOS = 1326;
+
+export const RANGE_GRID_RANKS = ["A", "K", "Q", "J", "T", "9", "8", "7", "6", "5", "4", "3", "2"];
+
+// Percentages (0–100) a new villain starts from – roughly a solid regular.
+export const DEFAULT_VILLAIN_FIELDS = {
+  name: "",
+  hands: [],
+  aggression: 50,
+  foldToRaise: 50,
+  bluffFrequency: 10,
+};
+
+/**
+ * Hand class for a grid cell: pairs on the diagonal, suited hands above it and
+ * offsuit hands below, higher rank first ("AKs", "AKo", "QQ").
+ */
+export function getGridHand(row, column) {
+  const rowRank = RANGE_GRID_RANKS[row];
+  const columnRank = RANGE_GRID_RANKS[column];
+  if (row === column) return `${rowRank}${rowRank}`;
+  return row < column ? `${rowRank}${columnRank}s` : `${columnRank}${rowRank}o`;
+}
+
+/**
+ * Share (%) of all 1,326 starting hands covered by a list of hand classes.
+ */
+export function getRangePercent(hands = []) {
+  const combos = hands.reduce((sum, hand) => sum + expandHandClass(hand).length, 0);
+  return (combos / TOTAL_COMBOS) * 100;
+}
+
+/**
+ * Grid hand classes for a built-in archetype's range, so a custom villain can start from one.
+ */
+export function getArchetypeHands(archetype) {
+  return parseRange(ARCHETYPE_RANGES[archetype] || []).classes.map(({ hand }) => hand);
+}
+
+/**
+ * Lists what stops the fields from making a saved villain; empty when valid.
+ */
+export function validateVillainFields(fields) {
+  const errors = [];
+  const name = String(fields.name || "").trim();
+  if (!name) {
+    errors.push("Give the villain a name.");
+  } else if (ARCHETYPES.some((archetype) => archetype.toLowerCase() === name.toLowerCase())) {
+    errors.push(`"${name}" is a built-in archetype; pick another name.`);
+  }
+  if (fields.hands.length === 0) {
+    errors.push("Select at least one hand in the range grid.");
+  }
+  ["aggression", "foldToRaise", "bluffFrequency"].forEach((key) => {
+    const value = Number(fields[key]);
+    if (!(value >= 0 && value <= 100)) {
+      errors.push("Frequencies must be between 0 and 100%.");
+    }
+  });
+  return Array.from(new Set(errors));
+}
+
+/**
+ * Saves a villain that arrived with a shared spot and returns `{ name, added }`,
+ * the name to seat it under: its own name when that is free or already holds the
+ * same villain, otherwise "Name (shared)", "Name (shared 2)"… so a different
+ * local villain with the same name is never overwritten.
+ */
+export function importSharedVillain(villain) {
+  const villains = listCustomVillains();
+  const sameVillain = (entry) =>
+    entry.hands.length === villain.hands.length &&
+    entry.hands.every((hand) => villain.hands.includes(hand)) &&
+    ["aggression", "foldToRaise", "bluffFrequency"].every((key) => entry[key] === villain[key]);
+  for (let copy = 1; ; copy += 1) {
+    const name = copy === 1 ? villain.name : `${villain.name} (shared${copy > 2 ? ` ${copy - 1}` : ""})`;
+    const existing = villains.find((entry) => entry.name === name);
+    if (existing && sameVillain(existing)) return { name, added: false };
+    if (!existing) {
+      saveCustomVillain({ ...villain, name });
+      return { name, added: true };
+    }
+  }
+}
+
+export function listCustomVillains() {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(CUSTOM_VILLAINS_STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves a villain under its name, replacing one with the same name – and, when
+ * `previousName` is given, the entry being renamed. Returns the updated list.
+ */
+export function saveCustomVillain(fields, previousName = null) {
+  const villain = {
+    name: String(fields.name).trim(),
+    hands: [...fields.hands],
+    aggression: Number(fields.aggression),
+    foldToRaise: Number(fields.foldToRaise),
+    bluffFrequency: Number(fields.bluffFrequency),
+  };
+  const villains = listCustomVillains()
+    .filter((entry) => entry.name !== villain.name && entry.name !== previousName)
+    .concat(villain)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  writeCustomVillains(villains);
+  return villains;
+}
+
+export function deleteCustomVillain(name) {
+  const villains = listCustomVillains().filter((entry) => entry.name !== name);
+  writeCustomVillains(villains);
+  return villains;
+}
+
+/**
+ * Every villain the dealer can seat: the built-in archetypes, then saved custom villains.
+ */
+export function getVillainNames() {
+  return [...ARCHETYPES, ...listCustomVillains().map((villain) => villain.name)];
+}
+
+/**
+ * What the dealer and EV engine need to play a custom villain: the range, the
+ * fold-equity tendencies, and bet and bluff frequencies as 0–1. Built-in
+ * archetypes (and custom villains deleted since) return null.
+ *
+ * Fold-to-raise scales the Default archetype's continue rates: marginal hands by
+ * (100 − foldToRaise) / 50 (1× at 50%, 2× at 0%, none at 100%), draws by half as
+ * much since their outs keep them in. Air continues at bluffFrequency / 200: a
+ * villain who bluffs often also floats and re-bluffs with air, at half that rate,
+ * so 10% bluffs match the Default archetype's 5% and 70% a Calling Station's 35%.
+ */
+export function getVillainModel(name) {
+  const villain = listCustomVillains().find((entry) => entry.name === name);
+  if (!villain || villain.hands.length === 0) return null;
+  const stickiness = (100 - villain.foldToRaise) / 50;
+  return {
+    range: villain.hands,
+    rangeLabel: `${villain.name}'s custom range (${getRangePercent(villain.hands).toFixed(1)}% of hands)`,
+    tendencies: {
+      marginal: stickiness,
+      draw: 0.5 + stickiness / 2,
+      air: villain.bluffFrequency / 200,
+    },
+    aggression: villain.aggression / 100,
+    bluffFrequency: villain.bluffFrequency / 100,
+  };
+}
+
+function writeCustomVillains(villains) {
+  try {
+    globalThis.localStorage?.setItem(CUSTOM_VILLAINS_STORAGE_KEY, JSON.stringify(villains));
+  } catch {
+    // Storage is full or unavailable (private mode); the change is not kept.
+  }
+}
@@ -0,0 +1,37 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { getVillainModel, listCustomVillains, saveCustomVillain } from "./villainProfiles";
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key),
+};
+
+const villain = (fields) => ({ name: "Reg", hands: ["AA", "AKs"], aggression: 50, foldToRaise: 50, bluffFrequency: 10, ...fields });
+
+describe("getVillainModel", () => {
+  beforeEach(() => store.clear());
+
+  it("plays like the Default archetype at the default sliders", () => {
+    saveCustomVillain(villain());
+    expect(getVillainModel("Reg").tendencies).toEqual({ marginal: 1, draw: 1, air: 0.05 });
+  });
+
+  it("maps fold-to-raise and bluff frequency onto continue rates", () => {
+    saveCustomVillain(villain({ foldToRaise: 0, bluffFrequency: 70 }));
+    expect(getVillainModel("Reg").tendencies).toEqual({ marginal: 2, draw: 1.5, air: 0.35 });
+    saveCustomVillain(villain({ foldToRaise: 100, bluffFrequency: 0 }));
+    expect(getVillainModel("Reg").tendencies).toEqual({ marginal: 0, draw: 0.5, air: 0 });
+  });
+});
+
+describe("saveCustomVillain", () => {
+  beforeEach(() => store.clear());
+
+  it("renames a villain in place", () => {
+    saveCustomVillain(villain());
+    saveCustomVillain(villain({ name: "Tuesday reg" }), "Reg");
+    expect(listCustomVillains().map((entry) => entry.name)).toEqual(["Tuesday reg"]);
+  });
+});